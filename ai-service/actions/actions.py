@@ -1,9 +1,14 @@
 # ai-service/actions/actions.py
 import os
 import re
+import json
 import time
+import queue
+import threading
+import urllib.request
 from typing import Any, Text, Dict, List
 from rasa_sdk import Action, Tracker
+from rasa_sdk.events import SlotSet
 from rasa_sdk.executor import CollectingDispatcher
 
 from langchain_community.embeddings import HuggingFaceEmbeddings
@@ -19,9 +24,50 @@ import traceback
 # --- Configuration ---
 BACKEND_URL = os.getenv("BACKEND_URL", "http://localhost:5001")
 DB_FAISS_PATH = os.path.join(os.path.dirname(__file__), "..", "documents", "vectorstore")
-TRANSLATION_MODEL_MAP = {
-    'hi': 'Helsinki-NLP/opus-mt-en-hi',
-}
+INDEX_MANIFEST_PATH = os.path.join(DB_FAISS_PATH, "manifest.json")
+# Which index version this action server is answering from, for the Admin Panel
+ACTIVE_INDEX_STATUS_PATH = os.path.join(os.path.dirname(__file__), "..", "documents", "active_index.json")
+# How often (seconds) to check whether the pipeline has written a new index
+INDEX_WATCH_INTERVAL = int(os.getenv("INDEX_WATCH_INTERVAL", "5"))
+# Languages are configured in languages.json (shared with the backend and the UI)
+LANGUAGES_PATH = os.getenv("LANGUAGES_FILE", os.path.join(os.path.dirname(__file__), "..", "languages.json"))
+
+def load_languages():
+    try:
+        with open(LANGUAGES_PATH, "r", encoding="utf-8") as f:
+            return json.load(f).get("languages", [])
+    except Exception as e:
+        print(f"WARNING: Could not read {LANGUAGES_PATH} ({e}). Only English and Hindi are supported.")
+        return [
+            {"code": "en"},
+            {"code": "hi", "translation": {"model": 'Helsinki-NLP/opus-mt-en-hi'},
+             "queryTranslation": {"model": 'Helsinki-NLP/opus-mt-hi-en'}},
+        ]
+
+def load_translation_models(languages, key):
+    """
+    Maps language codes (as langdetect reports them) to one direction of translation
+    settings: {"hi": {"model": "...", "options": {...}}}. `key` is "translation"
+    (English->X, for answers) or "queryTranslation" (X->English, for questions).
+    `options` are passed when translating (e.g. src_lang/tgt_lang for NLLB models).
+    """
+    return {
+        language["code"]: language[key]
+        for language in languages
+        if language.get("code") and (language.get(key) or {}).get("model")
+    }
+
+LANGUAGES = load_languages()
+SUPPORTED_LANGUAGE_CODES = {language["code"] for language in LANGUAGES if language.get("code")}
+TRANSLATION_MODEL_MAP = load_translation_models(LANGUAGES, "translation")
+QUERY_TRANSLATION_MODEL_MAP = load_translation_models(LANGUAGES, "queryTranslation")
+# Where streaming clients get told which pipeline stage their request is in
+PROGRESS_URL = f"{BACKEND_URL}/api/chat/progress"
+PROGRESS_TOKEN = os.getenv("PROGRESS_TOKEN")
+# How many earlier questions of the conversation are used to make sense of a follow-up
+MAX_HISTORY_TURNS = 3
+# Slot holding the document the last answer was taken from (see domain.yml)
+LAST_CITED_DOCUMENT_SLOT = "last_cited_document"
 # Confidence score threshold for the re-ranker. If the best document is below this,
 # we conclude that we don't have a good enough answer.
 CONFIDENCE_THRESHOLD = 0.1
@@ -46,6 +92,171 @@ def is_translation_garbled(text: str) -> bool:
         return True
     return False
 
+# --- Conversation context ---
+# Follow-ups are recognised by how they start or by words that point back at the previous
+# question, in English and Hindi. There is no generative model to rewrite them, so they are
+# made standalone by substituting into (or appending) the previous question.
+FOLLOW_UP_TOPIC = [
+    re.compile(r"^(?:and|but|also|so)?\s*(?:what|how)\s+about\s+(.+?)[\s?.!]*$", re.IGNORECASE),
+    re.compile(r"^(?:and|also)\s+(?:for|in|during)\s+(.+?)[\s?.!]*$", re.IGNORECASE),
+    re.compile(r"^(?:और\s+)?(.+?)\s+के\s+बारे\s+में(?:\s+क्या)?[\s?।]*$"),
+]
+FOLLOW_UP_START = re.compile(r"^(?:and|but|also|then|so|और|तो|फिर)\b", re.IGNORECASE)
+# Words pointing back at the previous question only make a follow-up when the question has
+# no subject of its own, i.e. when they come first or second, or the question is short:
+#   follow-ups:     "Is it compulsory?", "When is it due?", "How do I apply for it?",
+#                   "Its last date?", "What is their fee?", "इसकी अंतिम तिथि क्या है?"
+#   new questions:  "What are their admission requirements?",
+#                   "What documents do they need for hostel admission?",
+#                   "Is the fee the same for all courses?"
+FOLLOW_UP_REFERENCES = {"it", "they", "them", "these", "those", "same",
+                        "यह", "इसका", "इसकी", "इसके", "इसमें", "वह", "उसका", "उसकी", "उसके", "उसमें"}
+# Possessives are followed by their own noun, so they need an even shorter question
+FOLLOW_UP_POSSESSIVES = {"its", "their"}
+MAX_FOLLOW_UP_REFERENCE_POSITION = 1
+MAX_FOLLOW_UP_REFERENCE_WORDS = 6
+MAX_FOLLOW_UP_POSSESSIVE_WORDS = 4
+
+def _normalize_word(word: str) -> str:
+    return re.sub(r"[^\w]", "", word).lower()
+
+def refers_back(query: str) -> bool:
+    # Only punctuation is stripped: \w would also drop Devanagari vowel signs
+    words = [word for word in (w.strip("?.!,;:।\"'()").lower() for w in query.split()) if word]
+    for position, word in enumerate(words):
+        if word in FOLLOW_UP_REFERENCES:
+            if position <= MAX_FOLLOW_UP_REFERENCE_POSITION or len(words) <= MAX_FOLLOW_UP_REFERENCE_WORDS:
+                return True
+        elif word in FOLLOW_UP_POSSESSIVES:
+            if position == 0 or len(words) <= MAX_FOLLOW_UP_POSSESSIVE_WORDS:
+                return True
+    return False
+
+def is_follow_up(query: str) -> bool:
+    return bool(
+        any(pattern.match(query) for pattern in FOLLOW_UP_TOPIC)
+        or FOLLOW_UP_START.match(query)
+        or refers_back(query)
+    )
+
+def rewrite_follow_up(query: str, previous: str) -> str:
+    """
+    Turns a follow-up into a standalone question using the previous (standalone) question.
+    "What about the second semester?" after "What is the fee for the first semester?"
+    becomes "What is the fee for the second semester?". When no part of the previous
+    question can be swapped, the two are joined so retrieval still sees the context.
+    """
+    if not previous or not is_follow_up(query):
+        return query
+
+    topic = next((match.group(1) for match in (p.match(query) for p in FOLLOW_UP_TOPIC) if match), None)
+    if topic:
+        topic_words = topic.split()
+        previous_words = previous.split()
+        head = _normalize_word(topic_words[-1])
+        # Replace the phrase in the previous question that ends with the same head word,
+        # e.g. "the first semester" -> "the second semester"
+        for end in range(len(previous_words) - 1, -1, -1):
+            if head and _normalize_word(previous_words[end]) == head:
+                start = max(0, end - len(topic_words) + 1)
+                trailing = previous_words[end][len(previous_words[end].rstrip("?.!।")):]
+                return " ".join(previous_words[:start] + topic_words[:-1] + [topic_words[-1] + trailing] + previous_words[end + 1:])
+        return f"{previous.rstrip()} {topic}"
+    return f"{query.rstrip()} ({previous.strip()})"
+
+def standalone_query(tracker: Tracker, query: str) -> str:
+    """
+    Rewrites the latest question against the recent document questions of this session.
+    Earlier turns are rewritten in order too, so a chain of follow-ups keeps its topic.
+    """
+    turns = []
+    for event in reversed(tracker.events):
+        if event.get("event") in ("session_started", "restart"):
+            break
+        if event.get("event") == "user":
+            intent = ((event.get("parse_data") or {}).get("intent") or {}).get("name")
+            turns.append((event.get("text") or "", intent))
+    # turns[0] is the message being answered now
+    previous_turns = [text.strip() for text, intent in turns[1:] if intent == "document_query" and text.strip()]
+    previous = None
+    for text in reversed(previous_turns[:MAX_HISTORY_TURNS]):
+        previous = rewrite_follow_up(text, previous)
+    return rewrite_follow_up(query, previous)
+
+# A single worker posts progress events so they reach the backend in order
+_progress_queue = queue.Queue()
+_progress_worker = None
+
+def _post_progress_events():
+    while True:
+        payload = _progress_queue.get()
+        headers = {"Content-Type": "application/json"}
+        if PROGRESS_TOKEN:
+            headers["X-Progress-Token"] = PROGRESS_TOKEN
+        try:
+            request = urllib.request.Request(PROGRESS_URL, data=json.dumps(payload).encode("utf-8"), headers=headers, method="POST")
+            urllib.request.urlopen(request, timeout=2).close()
+        except Exception as e:
+            print(f"DEBUG: Could not report progress '{payload.get('stage')}': {e}")
+
+def report_progress(sender_id: str, stage: str, **data) -> None:
+    """
+    Tells the backend which stage a request has reached so /api/chat/stream can relay it.
+    Fire-and-forget: a slow or missing backend never delays the answer.
+    """
+    global _progress_worker
+    if _progress_worker is None:
+        _progress_worker = threading.Thread(target=_post_progress_events, daemon=True)
+        _progress_worker.start()
+    _progress_queue.put({"sender": sender_id, "stage": stage, **data})
+
+def read_index_manifest():
+    try:
+        with open(INDEX_MANIFEST_PATH, "r", encoding="utf-8") as f:
+            return json.load(f)
+    except Exception:
+        return {}
+
+def current_index_version():
+    """
+    Version of the indexes on disk: the manifest's "version", or the index file's
+    modification time for stores built before manifests existed. None if there is no index.
+    """
+    manifest = read_index_manifest()
+    if "collections" in manifest:
+        return manifest.get("version")
+    # A single index from before collections existed
+    index_file = os.path.join(DB_FAISS_PATH, "index.faiss")
+    if not os.path.exists(index_file):
+        return None
+    return manifest.get("version") or f"mtime-{int(os.path.getmtime(index_file))}"
+
+def index_paths():
+    """{collection id: folder} of the FAISS indexes on disk (see rag_pipeline.py)."""
+    manifest = read_index_manifest()
+    if "collections" not in manifest:
+        return {"general": DB_FAISS_PATH}
+    paths = {collection: os.path.join(DB_FAISS_PATH, collection) for collection in manifest["collections"]}
+    return {collection: path for collection, path in paths.items() if os.path.exists(os.path.join(path, "index.faiss"))}
+
+def search_indexes(indexes, query, k=10, **kwargs):
+    """
+    Searches each collection's index and keeps the k closest passages overall. Every
+    index uses the same embedding model, so their distances can be compared.
+    """
+    results = []
+    for index in indexes.values():
+        results.extend(index.similarity_search_with_score(query, k=k, **kwargs))
+    results.sort(key=lambda pair: pair[1])
+    return [doc for doc, distance in results[:k]]
+
+def write_active_index_status(version):
+    try:
+        with open(ACTIVE_INDEX_STATUS_PATH, "w", encoding="utf-8") as f:
+            json.dump({"version": version, "loaded_at": time.strftime("%Y-%m-%dT%H:%M:%S%z")}, f)
+    except Exception as e:
+        print(f"WARNING: Could not write active index status: {e}")
+
 class ActionQueryDoc(Action):
     def __init__(self):
         super().__init__()
@@ -61,18 +272,14 @@ class ActionQueryDoc(Action):
             print("FATAL: Could not initialize HuggingFaceEmbeddings model:", e)
             self.embeddings = None
 
-        try:
-            if os.path.exists(DB_FAISS_PATH):
-                print(f"Loading FAISS vector store from: {DB_FAISS_PATH}")
-                self.db = FAISS.load_local(DB_FAISS_PATH, self.embeddings, allow_dangerous_deserialization=True)
-                print("Vector store loaded successfully.")
-            else:
-                print("WARNING: Vector store not found. The bot cannot answer document questions until it's retrained.")
-                self.db = None
-        except Exception as e:
-            print("FATAL: Failed to load FAISS vector store:", e)
-            traceback.print_exc()
-            self.db = None
+        # One FAISS index per document collection: {collection id: FAISS}
+        self.indexes = {}
+        self.index_version = None
+        self._reload_lock = threading.Lock()
+        self.reload_vector_store()
+
+        # Pick up new indexes from retrains/index updates without restarting the action server
+        threading.Thread(target=self._watch_vector_store, daemon=True).start()
 
         # Initialize a Cross-Encoder for re-ranking search results
         try:
@@ -95,53 +302,194 @@ class ActionQueryDoc(Action):
         self.translator_cache = {}
         print("ActionQueryDoc initialized successfully (Pro Mode).")
 
+    def reload_vector_store(self):
+        """
+        Loads the FAISS index from disk and swaps it in. Requests already running keep
+        the index object they started with, so no in-flight query is dropped.
+        If loading fails, the previous index stays active.
+        """
+        with self._reload_lock:
+            version = current_index_version()
+            if version is None:
+                if self.indexes:
+                    print("WARNING: Vector store was removed. The bot cannot answer document questions until it's retrained.")
+                else:
+                    print("WARNING: Vector store not found. The bot cannot answer document questions until it's retrained.")
+                self.indexes = {}
+                self.index_version = None
+                write_active_index_status(None)
+                return
+
+            try:
+                print(f"Loading FAISS vector store (version {version}) from: {DB_FAISS_PATH}")
+                new_indexes = {
+                    collection: FAISS.load_local(path, self.embeddings, allow_dangerous_deserialization=True)
+                    for collection, path in index_paths().items()
+                }
+            except Exception as e:
+                print("ERROR: Failed to load FAISS vector store:", e)
+                traceback.print_exc()
+                return
+
+            self.indexes = new_indexes
+            print(f"Collections loaded: {', '.join(sorted(new_indexes)) or 'none'}")
+            self.index_version = version
+            write_active_index_status(version)
+            print(f"Vector store loaded successfully (version {version}).")
+
+    def _watch_vector_store(self):
+        while True:
+            time.sleep(INDEX_WATCH_INTERVAL)
+            try:
+                if current_index_version() != self.index_version:
+                    print("--- New vector store detected on disk. Reloading... ---")
+                    self.reload_vector_store()
+            except Exception as e:
+                print(f"WARNING: Vector store watch failed: {e}")
+
     def name(self) -> Text:
         return "action_query_doc"
 
+    @staticmethod
+    def utter_unanswered(dispatcher, text, reason, lang=None):
+        """Sends a fallback reply, marked so the backend can count unanswered questions."""
+        dispatcher.utter_message(json_message={
+            "text": text,
+            "sources": [],
+            "answered": False,
+            "reason": reason,
+            "language": lang
+        })
+
+    def translate(self, text: str, translation: Dict[Text, Any]):
+        """
+        Translates text with the model in `translation` ({"model", "options"}). Returns None
+        if translation fails or looks garbled, so callers can fall back to the original.
+        """
+        model_name = translation['model']
+        try:
+            # One pipeline per model, kept for the life of the server: loading one takes
+            # seconds, and multilingual models (NLLB) serve several languages and both directions
+            if model_name not in self.translator_cache:
+                print(f"Loading translator: {model_name}")
+                device_id = 0 if self.device == 'cuda' else -1
+                self.translator_cache[model_name] = pipeline('translation', model=model_name, device=device_id)
+
+            translator = self.translator_cache[model_name]
+            translated_output = translator(text, **translation.get("options", {}))
+            translated_text = translated_output[0].get('translation_text')
+        except Exception as e:
+            print(f"ERROR: Translation with {model_name} failed:", e)
+            return None
+        if is_translation_garbled(translated_text):
+            return None
+        return translated_text
+
     def run(self, dispatcher: CollectingDispatcher, tracker: Tracker, domain: Dict[Text, Any]) -> List[Dict[Text, Any]]:
         original_query = tracker.latest_message.get("text", "").strip()
+        sender_id = tracker.sender_id
         print(f"\n--- New Request Received ---\nOriginal Query: '{original_query}'")
 
-        if not self.db:
-            dispatcher.utter_message(text="Sorry, the AI's knowledge base is currently unavailable. Please ask an administrator to check the system.")
+        # Hold on to these indexes for the whole request, even if a reload swaps self.indexes meanwhile
+        indexes = self.indexes
+        if not indexes:
+            self.utter_unanswered(dispatcher, "Sorry, the AI's knowledge base is currently unavailable. Please ask an administrator to check the system.", "unavailable")
             return []
 
-        try:
-            lang = detect(original_query) if original_query else 'en'
-        except Exception:
-            lang = 'en'
-        print(f"Detected language: '{lang}'")
+        # Choices made in the UI, passed on by the backend as message metadata
+        message_metadata = tracker.latest_message.get("metadata") or {}
+
+        # The picked language wins over detection, which is unreliable for short or
+        # mixed-script questions
+        requested_lang = message_metadata.get("language")
+        if requested_lang in SUPPORTED_LANGUAGE_CODES:
+            lang = requested_lang
+            print(f"Language selected by the user: '{lang}'")
+        else:
+            try:
+                lang = detect(original_query) if original_query else 'en'
+            except Exception:
+                lang = 'en'
+            print(f"Detected language: '{lang}'")
+
+        # Only search the picked collection, if any
+        collection = message_metadata.get("collection")
+        if collection:
+            if collection not in indexes:
+                self.utter_unanswered(dispatcher, "There are no documents in that collection yet. Please choose another collection.", "no_results", lang)
+                return []
+            indexes = {collection: indexes[collection]}
+            print(f"Searching collection: '{collection}'")
+
+        # Follow-ups ("and what about the second semester?") only make sense with the
+        # earlier questions, so rewrite them into a standalone question first
+        contextual_query = standalone_query(tracker, original_query)
+        follow_up = contextual_query != original_query
+        if follow_up:
+            print(f"Follow-up rewritten to: '{contextual_query}'")
+
+        # The index, re-ranker and summarizer work best in English, so search with an English
+        # version of the question; the answer is translated back afterwards
+        search_query = contextual_query
+        if lang != 'en' and lang in QUERY_TRANSLATION_MODEL_MAP:
+            report_progress(sender_id, "translating-query")
+            translated_query = self.translate(contextual_query, QUERY_TRANSLATION_MODEL_MAP[lang])
+            if translated_query:
+                search_query = translated_query
+                print(f"Translated Query: '{search_query}'")
+            else:
+                print("WARN: Query translation failed. Searching with the original question.")
 
         # --- UPGRADED RAG PIPELINE ---
         # 1. RETRIEVE: Get a wide pool of potential documents (k=10)
-        try:
-            retrieved_docs = self.db.similarity_search(original_query, k=10)
-        except Exception as e:
-            print(f"ERROR: Document similarity_search failed: {e}")
-            retrieved_docs = []
+        # A follow-up narrows the previous answer, so look in the document it came from first
+        # and only search the whole library if nothing good enough is found there
+        last_document = tracker.get_slot(LAST_CITED_DOCUMENT_SLOT)
+        scopes = [last_document, None] if follow_up and last_document else [None]
+        retrieved_docs, scored_docs = [], []
+        for scope in scopes:
+            report_progress(sender_id, "retrieving")
+            try:
+                if scope:
+                    retrieved_docs = search_indexes(indexes, search_query, k=10, filter={"source": scope}, fetch_k=50)
+                    print(f"Searched within '{scope}': {len(retrieved_docs)} passages")
+                else:
+                    retrieved_docs = search_indexes(indexes, search_query, k=10)
+            except Exception as e:
+                print(f"ERROR: Document similarity_search failed: {e}")
+                retrieved_docs = []
+            if not retrieved_docs:
+                continue
+
+            # 2. RE-RANK: Use the Cross-Encoder for more accurate relevance scoring.
+            if not self.reranker:
+                break
+            report_progress(sender_id, "re-ranking")
+            passages = [doc.page_content for doc in retrieved_docs]
+            rerank_scores = self.reranker.predict([(search_query, passage) for passage in passages])
+
+            scored_docs = list(zip(rerank_scores, retrieved_docs))
+            scored_docs.sort(key=lambda x: x[0], reverse=True)
+            if scored_docs[0][0] >= CONFIDENCE_THRESHOLD:
+                break
 
         if not retrieved_docs:
-            dispatcher.utter_message(text="Sorry, I couldn't find any information related to your question.")
+            self.utter_unanswered(dispatcher, "Sorry, I couldn't find any information related to your question.", "no_results", lang)
             return []
 
-        # 2. RE-RANK: Use the Cross-Encoder for more accurate relevance scoring.
         if self.reranker:
-            passages = [doc.page_content for doc in retrieved_docs]
-            rerank_scores = self.reranker.predict([(original_query, passage) for passage in passages])
-            
-            scored_docs = list(zip(rerank_scores, retrieved_docs))
-            scored_docs.sort(key=lambda x: x[0], reverse=True)
-            
             top_score = scored_docs[0][0]
             if top_score < CONFIDENCE_THRESHOLD:
-                dispatcher.utter_message(text="I found some documents, but I'm not confident they contain the right answer for your question.")
+                self.utter_unanswered(dispatcher, "I found some documents, but I'm not confident they contain the right answer for your question.", "low_confidence", lang)
                 return []
             
             final_docs = [doc for score, doc in scored_docs[:3]]
+            final_scores = [float(score) for score, doc in scored_docs[:3]]
             best_doc = final_docs[0]
             print(f"Re-ranked top document score: {top_score:.4f}")
         else:
             final_docs = retrieved_docs[:3]
+            final_scores = [None] * len(final_docs)
             best_doc = final_docs[0]
 
         # 3. GENERATE: Create the answer using ONLY the single best document's context.
@@ -149,8 +497,9 @@ class ActionQueryDoc(Action):
         english_answer = ""
         
         if self.summarizer:
+            report_progress(sender_id, "generating")
             try:
-                input_for_model = f"Question: {original_query} \n\nContext: {focused_context} \n\nAnswer:"
+                input_for_model = f"Question: {search_query} \n\nContext: {focused_context} \n\nAnswer:"
                 summary_output = self.summarizer(input_for_model, max_length=150, min_length=20, do_sample=False)
                 english_answer = summary_output[0]['summary_text']
                 print(f"Locally generated answer: '{english_answer[:100]}...'")
@@ -164,50 +513,57 @@ class ActionQueryDoc(Action):
         for i, doc in enumerate(final_docs):
             metadata = getattr(doc, "metadata", {})
             source_filename = metadata.get("source", "Unknown")
-            page_no = metadata.get("page", 0) + 1
+            # PDFs are cited by page; Word, Markdown and HTML documents by section heading
+            page = metadata.get("page")
             sources.append({
                 "source": os.path.basename(str(source_filename)),
-                "page": page_no,
+                "page": page + 1 if page is not None else None,
+                "section": metadata.get("section"),
+                "collection": metadata.get("collection"),
                 "rank": i + 1,
+                # The matched chunk and its cross-encoder score, so users can check the answer
+                "snippet": clean_text(doc.page_content),
+                "score": round(final_scores[i], 4) if final_scores[i] is not None else None,
             })
         print(f"DEBUG: Top source retrieved: {sources[0] if sources else 'N/A'}")
 
         final_answer = english_answer
         if lang in TRANSLATION_MODEL_MAP:
-            try:
-                model_name = TRANSLATION_MODEL_MAP[lang]
-                if lang not in self.translator_cache:
-                    print(f"Loading translator for '{lang}': {model_name}")
-                    device_id = 0 if self.device == 'cuda' else -1
-                    self.translator_cache[lang] = pipeline('translation', model=model_name, device=device_id)
-                
-                translator = self.translator_cache[lang]
-                translated_output = translator(final_answer)
-                translated_text = translated_output[0].get('translation_text')
-                if translated_text and not is_translation_garbled(translated_text):
-                    final_answer = translated_text
-                    print(f"Translated Answer: '{final_answer[:100]}...'")
-                else:
-                    print("WARN: Translation appears garbled. Falling back to English.")
-            except Exception as e:
-                print("ERROR: Translation failed:", e)
+            report_progress(sender_id, "translating")
+            translated_text = self.translate(final_answer, TRANSLATION_MODEL_MAP[lang])
+            if translated_text:
+                final_answer = translated_text
+                print(f"Translated Answer: '{final_answer[:100]}...'")
+            else:
+                print("WARN: Translation failed or appears garbled. Falling back to English.")
                 
         sources_info = []
         for src in sources:
             pdf_name = os.path.basename(src["source"])
-            page_number = src.get("page", 1)
+            page_number = src.get("page")
+            url = f"{BACKEND_URL}/api/documents/{pdf_name}"
             sources_info.append({
                 "title": pdf_name,
                 "page": page_number,
-                "url": f"{BACKEND_URL}/api/documents/{pdf_name}#page={page_number}"
+                "section": src.get("section"),
+                "collection": src.get("collection"),
+                "rank": src["rank"],
+                "snippet": src["snippet"],
+                "score": src["score"],
+                "url": f"{url}#page={page_number}" if page_number else url
             })
 
+        report_progress(sender_id, "answer", text=final_answer)
+        report_progress(sender_id, "sources", sources=sources_info, language=lang)
+
         answer_payload = {
             "text": final_answer,
-            "sources": sources_info
+            "sources": sources_info,
+            "answered": True,
+            "language": lang
         }
         
         dispatcher.utter_message(json_message=answer_payload)
         print("--- Response Sent to User ---")
-        return []
+        return [SlotSet(LAST_CITED_DOCUMENT_SLOT, best_doc.metadata.get("source"))]
 
@@ -1,7 +1,9 @@
 # ai-service/admin_server.py
 import os
 import sys
+import signal
 import asyncio
+import subprocess
 from fastapi import FastAPI
 from fastapi.responses import StreamingResponse
 import uvicorn
@@ -9,8 +11,8 @@ import uvicorn
 app = FastAPI()
 # Get the directory where this script is located
 script_dir = os.path.dirname(__file__)
-# Define the path to the retraining batch script
-script_path = os.path.join(script_dir, "retrain.bat")
+# Define the path to the cross-platform retraining script
+script_path = os.path.join(script_dir, "retrain.py")
 
 async def stream_subprocess_output(stream, queue):
     """Reads lines from a stream and puts them into an async queue."""
@@ -20,53 +22,88 @@ async def stream_subprocess_output(stream, queue):
             break
         await queue.put(line)
 
-async def run_retraining():
+def kill_process_tree(process):
+    """Stops a script together with the python/rasa processes it started."""
+    try:
+        if os.name == "nt":
+            subprocess.run(["taskkill", "/T", "/F", "/PID", str(process.pid)], capture_output=True)
+        else:
+            os.killpg(process.pid, signal.SIGTERM)
+    except Exception as e:
+        print(f"WARNING: Could not stop process {process.pid}: {e}")
+
+async def run_python_process(label, *args):
     """
-    A robust method to run the retraining script and stream its stdout and stderr
+    A robust method to run a python script/module and stream its stdout and stderr
     to the client without race conditions.
     """
-    if not os.path.exists(script_path):
-        yield b"ERROR: retrain.bat script not found in the ai-service directory.\n"
-        return
-
     # Create a queue to merge stdout and stderr while maintaining order
     queue = asyncio.Queue()
 
-    # Start the subprocess using cmd.exe to run the .bat file
+    # Run with this server's interpreter (the venv's python) on any OS
     process = await asyncio.create_subprocess_exec(
-        'cmd.exe', '/c', script_path,
+        sys.executable, '-u', *args,
         stdout=asyncio.subprocess.PIPE,
         stderr=asyncio.subprocess.PIPE,
-        cwd=script_dir  # Ensure the script runs in its own directory
+        cwd=script_dir,  # Ensure the script runs in its own directory
+        # Own process group, so the whole tree can be stopped if the job is cancelled
+        start_new_session=(os.name != "nt")
     )
 
     # Start two concurrent tasks to read from stdout and stderr
     stdout_reader = asyncio.create_task(stream_subprocess_output(process.stdout, queue))
     stderr_reader = asyncio.create_task(stream_subprocess_output(process.stderr, queue))
 
-    # Main loop to yield lines from the queue as they arrive
-    while not (stdout_reader.done() and stderr_reader.done() and queue.empty()):
-        try:
-            # Wait for a line to appear in the queue, with a short timeout
-            line = await asyncio.wait_for(queue.get(), timeout=0.1)
-            yield line
-        except asyncio.TimeoutError:
-            # If the queue is empty but readers are not done, continue waiting
-            continue
-    
-    # Wait for the subprocess to fully complete
-    await process.wait()
-    
-    # Ensure any final cleanup is done on the reader tasks
-    await asyncio.gather(stdout_reader, stderr_reader)
-
-    yield b"\n--- Retraining process finished ---\n"
+    try:
+        # Main loop to yield lines from the queue as they arrive
+        while not (stdout_reader.done() and stderr_reader.done() and queue.empty()):
+            try:
+                # Wait for a line to appear in the queue, with a short timeout
+                line = await asyncio.wait_for(queue.get(), timeout=0.1)
+                yield line
+            except asyncio.TimeoutError:
+                # If the queue is empty but readers are not done, continue waiting
+                continue
+
+        # Wait for the subprocess to fully complete
+        await process.wait()
+
+        # Ensure any final cleanup is done on the reader tasks
+        await asyncio.gather(stdout_reader, stderr_reader)
+
+        # The backend job queue reads the exit code from this line
+        yield f"\n--- {label} process finished with exit code {process.returncode} ---\n".encode()
+    finally:
+        # The client disconnected (e.g. the job was cancelled) before the script ended
+        if process.returncode is None:
+            print(f"Client disconnected. Stopping {label.lower()} process...")
+            kill_process_tree(process)
+
+async def stream_error(message):
+    yield message.encode()
+
+
+@app.get("/health")
+async def health():
+    """Liveness probe used by the backend's GET /api/health."""
+    return {"status": "ok", "retrain_script": os.path.exists(script_path)}
 
 
 @app.post("/retrain")
 async def trigger_retraining():
-    """Endpoint to trigger the retraining process and stream logs."""
-    return StreamingResponse(run_retraining(), media_type="text/plain")
+    """Endpoint to trigger the retraining process (vector store update + rasa train) and stream logs."""
+    if not os.path.exists(script_path):
+        return StreamingResponse(stream_error("ERROR: retrain.py script not found in the ai-service directory.\n"), media_type="text/plain")
+    return StreamingResponse(run_python_process("Retraining", script_path), media_type="text/plain")
+
+
+@app.post("/index")
+async def trigger_index_update():
+    """
+    Endpoint to bring the vector store in line with the pdfs folder (only new, changed
+    or removed PDFs are processed) and stream logs. The Rasa model is not retrained.
+    """
+    return StreamingResponse(run_python_process("Indexing", "-m", "rag_pipeline"), media_type="text/plain")
 
 
 if __name__ == "__main__":
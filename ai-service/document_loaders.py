@@ -0,0 +1,175 @@
+# ai-service/document_loaders.py
+"""
+Turns a library file into LangChain documents for rag_pipeline.py.
+
+Every document carries 'source' (the stored filename) plus either 'page' (0-based,
+PDFs) or 'section' (the nearest heading, other formats), so answers can cite it.
+Format-specific packages are imported lazily: a library of plain PDFs needs none of them.
+"""
+import os
+import re
+
+from langchain_core.documents import Document
+from langchain_community.document_loaders import PyPDFLoader
+
+SUPPORTED_EXTENSIONS = (".pdf", ".docx", ".txt", ".md", ".markdown", ".html", ".htm")
+
+# Tesseract language packs used for scanned pages, e.g. "eng+hin+guj"
+OCR_LANGUAGES = os.environ.get("OCR_LANGUAGES", "eng+hin")
+# A PDF page with less extractable text than this is treated as a scanned image
+MIN_PAGE_TEXT = 20
+OCR_DPI = 300
+
+MARKDOWN_HEADING = re.compile(r"^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$")
+# Marks HTML headings in the extracted text so they can be split like Markdown
+HTML_HEADING_MARKER = "\u0000heading\u0000"
+
+_ocr_unavailable = None
+
+def is_supported(filename):
+    return filename.lower().endswith(SUPPORTED_EXTENSIONS)
+
+def load_document(path, source):
+    """Loads one file into documents with 'source' and 'page' or 'section' metadata."""
+    extension = os.path.splitext(path)[1].lower()
+    if extension == ".pdf":
+        return load_pdf(path, source)
+    if extension == ".docx":
+        return sections_to_documents(read_docx_sections(path), source)
+    if extension in (".md", ".markdown"):
+        lines = read_text(path).splitlines()
+        return sections_to_documents(split_by_headings(lines, markdown_heading), source)
+    if extension in (".html", ".htm"):
+        return sections_to_documents(read_html_sections(path), source)
+    if extension == ".txt":
+        return sections_to_documents([(None, read_text(path))], source)
+    raise ValueError(f"Unsupported file type '{extension}'")
+
+def read_text(path):
+    # Notices are usually UTF-8; don't fail the whole file over a stray byte
+    with open(path, "r", encoding="utf-8", errors="replace") as f:
+        return f.read()
+
+def sections_to_documents(sections, source):
+    documents = []
+    for title, text in sections:
+        if not text.strip():
+            continue
+        metadata = {"source": source}
+        if title:
+            metadata["section"] = title
+        documents.append(Document(page_content=text.strip(), metadata=metadata))
+    return documents
+
+def split_by_headings(lines, heading_of):
+    """Groups lines into (heading, text) sections; text before the first heading has no heading."""
+    sections = []
+    title, body = None, []
+    for line in lines:
+        heading = heading_of(line)
+        if heading:
+            sections.append((title, "\n".join(body)))
+            title, body = heading, []
+        else:
+            body.append(line)
+    sections.append((title, "\n".join(body)))
+    return sections
+
+def markdown_heading(line):
+    match = MARKDOWN_HEADING.match(line)
+    return match.group(1) if match else None
+
+# --- PDF (with OCR for scanned pages) ---
+
+def load_pdf(path, source):
+    documents = PyPDFLoader(path).load()
+    for index, doc in enumerate(documents):
+        metadata = doc.metadata or {}
+        # Loaders sometimes name the page differently
+        page = metadata.get("page")
+        if page is None:
+            page = metadata.get("page_number") or metadata.get("pageno")
+        if page is None:
+            page = index
+        metadata["source"] = source
+        metadata["page"] = page
+
+        if len(doc.page_content.strip()) < MIN_PAGE_TEXT:
+            text = ocr_pdf_page(path, page)
+            if text.strip():
+                doc.page_content = text
+                metadata["ocr"] = True
+        doc.metadata = metadata
+    return documents
+
+def ocr_pdf_page(path, page):
+    """Renders one PDF page and reads it with Tesseract. Returns "" when OCR isn't available."""
+    global _ocr_unavailable
+    if _ocr_unavailable:
+        return ""
+    try:
+        import fitz  # PyMuPDF
+        import pytesseract
+        from PIL import Image
+        pytesseract.get_tesseract_version()
+    except Exception as e:
+        _ocr_unavailable = str(e)
+        print(f"WARNING: OCR is not available ({e}). Scanned pages will be skipped. "
+              "Install Tesseract and `pip install pytesseract PyMuPDF Pillow` to index them.", flush=True)
+        return ""
+
+    with fitz.open(path) as pdf:
+        pixmap = pdf[page].get_pixmap(dpi=OCR_DPI)
+        image = Image.frombytes("RGB", (pixmap.width, pixmap.height), pixmap.samples)
+    print(f"  Running OCR on page {page + 1} of {os.path.basename(path)}...", flush=True)
+    return pytesseract.image_to_string(image, lang=OCR_LANGUAGES)
+
+# --- Word ---
+
+def read_docx_sections(path):
+    """Splits a .docx at its Title/Heading paragraphs, keeping tables in document order."""
+    from docx import Document as DocxFile
+    from docx.table import Table
+    from docx.text.paragraph import Paragraph
+
+    docx = DocxFile(path)
+    sections = []
+    title, body = None, []
+    for child in docx.element.body.iterchildren():
+        tag = child.tag.rsplit("}", 1)[-1]
+        if tag == "p":
+            paragraph = Paragraph(child, docx)
+            style = paragraph.style.name if paragraph.style is not None else ""
+            if (style.startswith("Heading") or style == "Title") and paragraph.text.strip():
+                sections.append((title, "\n".join(body)))
+                title, body = paragraph.text.strip(), []
+            elif paragraph.text.strip():
+                body.append(paragraph.text)
+        elif tag == "tbl":
+            for row in Table(child, docx).rows:
+                cells = [cell.text.strip() for cell in row.cells]
+                body.append(" | ".join(cell for cell in cells if cell))
+    sections.append((title, "\n".join(body)))
+    return sections
+
+# --- HTML ---
+
+def read_html_sections(path):
+    from bs4 import BeautifulSoup
+
+    soup = BeautifulSoup(read_text(path), "html.parser")
+    for element in soup(["script", "style", "noscript", "template"]):
+        element.decompose()
+    for heading in soup.find_all(["h1", "h2", "h3", "h4", "h5", "h6"]):
+        heading.replace_with(f"\n{HTML_HEADING_MARKER}{heading.get_text(' ', strip=True)}\n")
+
+    root = soup.body or soup
+    lines = [line.strip() for line in root.get_text("\n").splitlines()]
+    sections = split_by_headings(
+        [line for line in lines if line],
+        lambda line: line[len(HTML_HEADING_MARKER):].strip() if line.startswith(HTML_HEADING_MARKER) else None,
+    )
+    # Name the part before the first heading after the page title, if there is one
+    if sections and sections[0][0] is None and soup.title and soup.title.string:
+        sections[0] = (soup.title.string.strip(), sections[0][1])
+    return sections
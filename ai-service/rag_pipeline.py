@@ -1,16 +1,21 @@
 # ai-service/rag_pipeline.py
 import os
+import re
 import sys
+import json
 import shutil
+import hashlib
 from pathlib import Path
 import traceback
+from datetime import datetime, timezone
 
-from langchain_community.document_loaders import PyPDFDirectoryLoader
 from langchain.text_splitter import RecursiveCharacterTextSplitter
 from langchain_community.embeddings import HuggingFaceEmbeddings
 from langchain_community.vectorstores import FAISS
 import torch
 
+from document_loaders import is_supported, load_document
+
 def print_flush(*args, **kwargs):
     print(*args, **kwargs)
     sys.stdout.flush()
@@ -19,71 +24,354 @@ def print_flush(*args, **kwargs):
 script_dir = os.path.dirname(__file__)
 DOCUMENTS_PATH = os.path.join(script_dir, "documents")
 PDFS_PATH = os.path.join(DOCUMENTS_PATH, "pdfs")
+# Uploads wait here (not served publicly) until their text can be extracted
+STAGING_PATH = os.path.join(DOCUMENTS_PATH, "staging")
+# Files whose text couldn't be extracted, and why; shown in the Admin Panel
+EXTRACTION_REPORT_PATH = os.path.join(DOCUMENTS_PATH, "extraction_report.json")
 DB_FAISS_PATH = os.path.join(DOCUMENTS_PATH, "vectorstore")
 
-def create_vector_db():
-    """Loads PDFs, splits them into chunks, and creates a FAISS vector store with metadata."""
+# Rewritten after each collection; a new "version" (set when a run finishes) tells the action
+# server a new set of indexes is ready
+MANIFEST_PATH = os.path.join(DB_FAISS_PATH, "manifest.json")
+# Kept by the backend: original names and the collection each library file belongs to
+LIBRARY_PATH = os.path.join(DOCUMENTS_PATH, "library.json")
+EMBEDDING_MODEL = "paraphrase-xlm-r-multilingual-v1"
+# Files without a collection (e.g. copied into the folder by hand) are indexed here
+DEFAULT_COLLECTION = "General"
+
+def file_sha256(path):
+    """Hash of a file's bytes, used to tell whether a document changed since it was indexed."""
+    digest = hashlib.sha256()
+    with open(path, "rb") as f:
+        for block in iter(lambda: f.read(1024 * 1024), b""):
+            digest.update(block)
+    return digest.hexdigest()
+
+def collection_id(name):
+    """Folder-safe id of a collection name ("Hostel Rules" -> "hostel-rules"); matches the backend."""
+    slug = re.sub(r"[^a-z0-9]+", "-", (name or "").lower()).strip("-")
+    return slug or "general"
+
+def collection_path(collection):
+    return os.path.join(DB_FAISS_PATH, collection)
+
+def load_manifest():
+    """
+    The manifest records what is in the vector store. Each collection has its own FAISS
+    index in vectorstore/<collection id>/:
+    {"model": ..., "version": ..., "built_at": ...,
+     "collections": {"<id>": {"name": ..., "files": {"<file name>": {"sha256": ..., "chunk_ids": [...]}}}}}
+    It is written after the index files, so a new "version" means a complete new set of
+    indexes (the action server watches it to hot-reload). While a run is updating the
+    collections one by one, it is rewritten after each with the previous "version" and
+    "unpublished": true, so it always matches the indexes on disk and a failed run's
+    changes are still published by the next one.
+    """
+    if not os.path.exists(MANIFEST_PATH):
+        return None
+    try:
+        with open(MANIFEST_PATH, "r", encoding="utf-8") as f:
+            return json.load(f)
+    except Exception as e:
+        print_flush(f"WARNING: Could not read index manifest ({e}). A full rebuild is needed.")
+        return None
+
+def save_manifest(manifest):
+    # Written next to the live file and renamed over it, so readers never see half a manifest
+    temp_path = f"{MANIFEST_PATH}.tmp"
+    with open(temp_path, "w", encoding="utf-8") as f:
+        json.dump(manifest, f, indent=2)
+    os.replace(temp_path, MANIFEST_PATH)
+
+def replace_index(collection, db):
+    """
+    Saves a collection's index into a new folder and swaps it in for the live one, so the
+    live folder only ever holds a complete index. Collection ids have no dots, so the
+    ".new"/".old" folders can't clash with another collection.
+    """
+    index_path = collection_path(collection)
+    new_path, old_path = f"{index_path}.new", f"{index_path}.old"
+    if os.path.exists(new_path):
+        shutil.rmtree(new_path)
+    db.save_local(new_path)
+    if os.path.exists(index_path):
+        if os.path.exists(old_path):
+            shutil.rmtree(old_path)
+        os.rename(index_path, old_path)
+    os.rename(new_path, index_path)
+    shutil.rmtree(old_path, ignore_errors=True)
+
+def restore_interrupted_swap(collection):
+    """Puts back the previous index if a run stopped between the two renames of replace_index."""
+    index_path = collection_path(collection)
+    old_path = f"{index_path}.old"
+    if not os.path.exists(index_path) and os.path.exists(old_path):
+        print_flush(f"[{collection}] Restoring the index an interrupted run left behind...")
+        os.rename(old_path, index_path)
+
+def load_extraction_report():
+    """{"<file name>": {"sha256": ..., "error": ..., "stage": "staging" | "indexing", "checked_at": ...}}"""
+    try:
+        with open(EXTRACTION_REPORT_PATH, "r", encoding="utf-8") as f:
+            return json.load(f)
+    except Exception:
+        return {}
+
+def save_extraction_report(report):
+    with open(EXTRACTION_REPORT_PATH, "w", encoding="utf-8") as f:
+        json.dump(report, f, indent=2)
+
+def record_extraction_problem(report, name, sha256, stage, error):
+    print_flush(f"WARNING: {name}: {error}")
+    report[name] = {
+        "sha256": sha256,
+        "error": str(error),
+        "stage": stage,
+        "checked_at": datetime.now(timezone.utc).isoformat(),
+    }
+
+def extracted_text_length(path, name):
+    """Characters of text the loaders get out of a file (OCR included)."""
+    return sum(len(doc.page_content.strip()) for doc in load_document(path, name))
+
+def process_staging(report):
+    """
+    Moves staged uploads whose text can be extracted into the 'pdfs' folder (replacing the
+    previous version of a document) and records why the others were held back. A failed
+    file is only checked again once different bytes are uploaded under its name.
+    """
+    if not os.path.exists(STAGING_PATH):
+        return
+    for name in sorted(os.listdir(STAGING_PATH)):
+        path = os.path.join(STAGING_PATH, name)
+        if not is_supported(name) or not os.path.isfile(path):
+            continue
+        sha256 = file_sha256(path)
+        previous = report.get(name)
+        if previous and previous.get("stage") == "staging" and previous.get("sha256") == sha256:
+            continue
+
+        print_flush(f"Checking staged upload {name}...")
+        try:
+            if extracted_text_length(path, name) == 0:
+                raise ValueError("No text could be extracted. If it is a scanned document, "
+                                 "make sure OCR (Tesseract) is installed on the AI server.")
+        except Exception as e:
+            record_extraction_problem(report, name, sha256, "staging", f"Text extraction failed: {e}")
+            continue
+
+        os.makedirs(PDFS_PATH, exist_ok=True)
+        os.replace(path, os.path.join(PDFS_PATH, name))
+        report.pop(name, None)
+        print_flush(f"  Accepted {name} into the library.")
+
+def list_documents():
+    """The library files (PDF, DOCX, TXT, Markdown, HTML) in the 'pdfs' folder."""
+    if not os.path.exists(PDFS_PATH):
+        return []
+    return sorted(name for name in os.listdir(PDFS_PATH) if is_supported(name))
+
+def group_by_collection(filenames):
+    """{collection id: {"name": ..., "files": [file names]}} using the collections in library.json."""
+    try:
+        with open(LIBRARY_PATH, "r", encoding="utf-8") as f:
+            library = json.load(f)
+    except FileNotFoundError:
+        library = {}
+    except Exception as e:
+        print_flush(f"WARNING: Could not read {LIBRARY_PATH} ({e}). Indexing every file in '{DEFAULT_COLLECTION}'.")
+        library = {}
+
+    groups = {}
+    for name in filenames:
+        collection_name = (library.get(name) or {}).get("collection") or DEFAULT_COLLECTION
+        group = groups.setdefault(collection_id(collection_name), {"name": collection_name, "files": []})
+        group["files"].append(name)
+    return groups
+
+def load_and_split(filename, collection):
+    """
+    Loads one library file and splits it into chunks that carry 'source' (filename),
+    'collection' (id) and 'page' (PDFs) or 'section' (other formats) metadata.
+    Scanned PDF pages go through OCR.
+    """
+    documents = load_document(os.path.join(PDFS_PATH, filename), filename)
+    text_splitter = RecursiveCharacterTextSplitter(chunk_size=500, chunk_overlap=50)
+    chunks = text_splitter.split_documents(documents)
+    for chunk in chunks:
+        chunk.metadata["collection"] = collection
+    return chunks
+
+def update_collection(collection, filenames, indexed, get_embeddings, report):
+    """
+    Brings one collection's index in line with `filenames`. `indexed` is the collection's
+    "files" entry from the manifest ({} for a new collection) and is updated in place.
+    Returns True if the index on disk changed.
+    """
+    index_path = collection_path(collection)
+    restore_interrupted_swap(collection)
+    has_chunks = any(entry["chunk_ids"] for entry in indexed.values())
+    if has_chunks and not os.path.exists(os.path.join(index_path, "index.faiss")):
+        print_flush(f"[{collection}] Index files are missing. Rebuilding the collection...")
+        indexed.clear()
+
+    current_hashes = {name: file_sha256(os.path.join(PDFS_PATH, name)) for name in filenames}
+    removed = [name for name in indexed if name not in current_hashes]
+    changed = [name for name in filenames if name in indexed and indexed[name]["sha256"] != current_hashes[name]]
+    added = [name for name in filenames if name not in indexed]
+    print_flush(f"[{collection}] Index changes: {len(added)} new, {len(changed)} changed, {len(removed)} removed, "
+                f"{len(filenames) - len(added) - len(changed)} unchanged.")
+    if not (added or changed or removed):
+        return False
+
+    embeddings = get_embeddings()
+    db = None
+    if os.path.exists(os.path.join(index_path, "index.faiss")):
+        db = FAISS.load_local(index_path, embeddings, allow_dangerous_deserialization=True)
+        stale_ids = [chunk_id for name in removed + changed for chunk_id in indexed[name]["chunk_ids"]]
+        if stale_ids:
+            print_flush(f"[{collection}] Removing {len(stale_ids)} chunks of removed/changed documents...")
+            db.delete(stale_ids)
+    for name in removed:
+        del indexed[name]
+
+    for name in changed + added:
+        print_flush(f"[{collection}] Indexing {name}...")
+        try:
+            chunks = load_and_split(name, collection)
+        except Exception as e:
+            # One unreadable file shouldn't block the rest of the library
+            record_extraction_problem(report, name, current_hashes[name], "indexing", f"Could not load the file: {e}")
+            indexed.pop(name, None)
+            continue
+        if not chunks:
+            record_extraction_problem(report, name, current_hashes[name], "indexing", "No text could be extracted.")
+            indexed[name] = {"sha256": current_hashes[name], "chunk_ids": []}
+            continue
+        if report.get(name, {}).get("stage") == "indexing":
+            del report[name]
+
+        chunk_ids = [f"{name}:{current_hashes[name][:12]}:{i}" for i in range(len(chunks))]
+        if db is None:
+            db = FAISS.from_documents(chunks, embeddings, ids=chunk_ids)
+        else:
+            db.add_documents(chunks, ids=chunk_ids)
+        indexed[name] = {"sha256": current_hashes[name], "chunk_ids": chunk_ids}
+        print_flush(f"  Added {len(chunks)} chunks.")
+
+    if db is None or not any(entry["chunk_ids"] for entry in indexed.values()):
+        # Nothing searchable left in this collection
+        if os.path.exists(index_path):
+            shutil.rmtree(index_path)
+        return True
+
+    print_flush(f"[{collection}] Saving FAISS index...")
+    replace_index(collection, db)
+    return True
+
+def create_vector_db(full_rebuild=False):
+    """
+    Accepts staged uploads whose text can be extracted (see process_staging), then brings
+    the FAISS indexes in line with the 'pdfs' folder, one index per collection.
+    Only files that are new, changed or moved to another collection are embedded; vectors
+    of removed or changed files are deleted. Falls back to a full rebuild when there is no
+    usable store/manifest (including stores from before collections) or `full_rebuild` is set.
+    """
     print_flush("\n--- Starting RAG pipeline ---")
     try:
-        # Remove the old vector store if it exists
-        if os.path.exists(DB_FAISS_PATH):
-            print_flush(f"Removing old vector store at {DB_FAISS_PATH}...")
+        report = load_extraction_report()
+        process_staging(report)
+        # Forget problems of files that were deleted since
+        for name in list(report):
+            if not any(os.path.exists(os.path.join(folder, name)) for folder in (PDFS_PATH, STAGING_PATH)):
+                del report[name]
+        save_extraction_report(report)
+
+        pdf_files = list_documents()
+        manifest = None if full_rebuild else load_manifest()
+        if manifest and (manifest.get("model") != EMBEDDING_MODEL or "collections" not in manifest):
+            manifest = None
+
+        if manifest is None and os.path.exists(DB_FAISS_PATH):
+            # Remove the old vector store if it exists
+            print_flush(f"Removing old vector store at {DB_FAISS_PATH} for a full rebuild...")
             shutil.rmtree(DB_FAISS_PATH)
 
         # Ensure PDFs folder exists and has files
-        if not os.path.exists(PDFS_PATH) or not os.listdir(PDFS_PATH):
+        if not pdf_files:
+            if os.path.exists(DB_FAISS_PATH):
+                shutil.rmtree(DB_FAISS_PATH)
             print_flush("WARNING: The 'pdfs' directory is either missing or empty.")
-            print_flush("--- RAG pipeline finished: No new vector store created. ---")
-            sys.exit(0)
+            print_flush("--- RAG pipeline finished: No vector store created. ---")
+            return
+
+        groups = group_by_collection(pdf_files)
+        collections = (manifest or {}).get("collections", {})
+        previous_version = (manifest or {}).get("version")
 
-        print_flush(f"Loading PDFs from: {PDFS_PATH}")
-        loader = PyPDFDirectoryLoader(PDFS_PATH)
-        documents = loader.load()
+        def save_progress():
+            # Records one collection's new index right after it was swapped in (see load_manifest)
+            save_manifest({
+                "model": EMBEDDING_MODEL,
+                "version": previous_version,
+                "built_at": (manifest or {}).get("built_at"),
+                "unpublished": True,
+                "collections": collections,
+            })
 
-        if not documents:
-            print_flush("WARNING: No documents were found in the 'pdfs' folder.")
-            print_flush("--- RAG pipeline finished: No new vector store created. ---")
+        embeddings = None
+        def get_embeddings():
+            # Only loaded once something actually needs embedding
+            nonlocal embeddings
+            if embeddings is None:
+                print_flush("Loading multilingual embeddings model (this may take a moment)...")
+                device = 'cuda' if torch.cuda.is_available() else 'cpu'
+                embeddings = HuggingFaceEmbeddings(
+                    model_name=EMBEDDING_MODEL,
+                    model_kwargs={'device': device}
+                )
+            return embeddings
+
+        os.makedirs(DB_FAISS_PATH, exist_ok=True)
+        # An earlier run that failed part-way left changes that were never published
+        changed = bool((manifest or {}).get("unpublished"))
+        for collection in sorted(set(collections) | set(groups)):
+            group = groups.get(collection, {"name": collections.get(collection, {}).get("name"), "files": []})
+            entry = collections.setdefault(collection, {"name": group["name"], "files": {}})
+            collection_changed = False
+            if entry.get("name") != group["name"]:
+                entry["name"] = group["name"]
+                collection_changed = True
+            if update_collection(collection, group["files"], entry["files"], get_embeddings, report):
+                collection_changed = True
+            if not entry["files"]:
+                del collections[collection]
+            if collection_changed:
+                save_progress()
+                changed = True
+        save_extraction_report(report)
+
+        if not changed:
+            print_flush("--- RAG pipeline finished: Vector store already up to date. ---")
+            return
+
+        if not any(entry["chunk_ids"] for c in collections.values() for entry in c["files"].values()):
+            shutil.rmtree(DB_FAISS_PATH)
+            print_flush("WARNING: No text could be extracted from any document.")
+            print_flush("--- RAG pipeline finished: No vector store created. ---")
             return
 
-        print_flush(f"Successfully loaded content from {len(documents)} pages (loader output).")
-
-        # Ensure metadata contains 'source' (filename) and 'page' when possible.
-        normalized_docs = []
-        for doc in documents:
-            # The loader typically sets doc.metadata['source'] to the filepath.
-            metadata = doc.metadata or {}
-            # Derive nice source filename
-            source = metadata.get('source') or metadata.get('filename') or getattr(doc, "source", None)
-            if source:
-                source_name = os.path.basename(str(source))
-            else:
-                source_name = "unknown.pdf"
-
-            # Try to capture page info - loaders sometimes include 'page'
-            page = metadata.get("page") or metadata.get("page_number") or metadata.get("pageno")
-            # Update metadata in-place
-            metadata["source"] = source_name
-            if page:
-                metadata["page"] = page
-            doc.metadata = metadata
-            normalized_docs.append(doc)
-
-        print_flush("Splitting documents into smaller text chunks...")
-        text_splitter = RecursiveCharacterTextSplitter(chunk_size=500, chunk_overlap=50)
-        chunks = text_splitter.split_documents(normalized_docs)
-        print_flush(f"Created {len(chunks)} text chunks.")
-
-        print_flush("Loading multilingual embeddings model (this may take a moment)...")
-        device = 'cuda' if torch.cuda.is_available() else 'cpu'
-        embeddings = HuggingFaceEmbeddings(
-            model_name="paraphrase-xlm-r-multilingual-v1",
-            model_kwargs={'device': device}
-        )
-
-        print_flush("Creating and saving new FAISS vector store...")
-        db = FAISS.from_documents(chunks, embeddings)
-        db.save_local(DB_FAISS_PATH)
-        print_flush(f"--- Vector store created successfully at {DB_FAISS_PATH} ---")
+        built_at = datetime.now(timezone.utc)
+        save_manifest({
+            "model": EMBEDDING_MODEL,
+            # The random part keeps two builds within the same second (or clock tick) apart
+            "version": f"{built_at.strftime('%Y%m%d-%H%M%S')}-{os.urandom(3).hex()}",
+            "built_at": built_at.isoformat(),
+            "collections": collections,
+        })
+        total_chunks = sum(len(entry["chunk_ids"]) for c in collections.values() for entry in c["files"].values())
+        print_flush(f"--- Vector store updated successfully at {DB_FAISS_PATH} "
+                    f"({len(collections)} collections, {total_chunks} chunks) ---")
 
     except Exception as e:
         print_flush("\n--- AN ERROR OCCURRED ---")
@@ -92,4 +380,5 @@ def create_vector_db():
         sys.exit(1)
 
 if __name__ == "__main__":
-    create_vector_db()
+    # `python -m rag_pipeline --full` re-embeds every document from scratch
+    create_vector_db(full_rebuild="--full" in sys.argv[1:])
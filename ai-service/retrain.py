@@ -0,0 +1,41 @@
+# ai-service/retrain.py
+"""
+Cross-platform retraining entry point, used by admin_server.py on every OS.
+
+Runs the same two steps as retrain.bat: rebuild the FAISS vector store, then
+retrain the Rasa model. Both steps use the interpreter running this script, so
+start admin_server.py from the activated venv. Exits with the failing step's code.
+"""
+import os
+import sys
+import subprocess
+
+script_dir = os.path.dirname(os.path.abspath(__file__))
+
+# (banner, arguments for `python`, message on failure)
+STEPS = [
+    ("Step 1 of 2: Re-building document knowledge base (RAG Pipeline)...", ["-m", "rag_pipeline"], "RAG pipeline failed. Aborting retraining."),
+    ("Step 2 of 2: Retraining Rasa NLU model...", ["-m", "rasa", "train"], "Rasa training failed."),
+]
+
+def print_flush(*args, **kwargs):
+    print(*args, **kwargs)
+    sys.stdout.flush()
+
+def main() -> int:
+    print_flush("--- Starting Full Retraining Process ---")
+    # Unbuffered children, so their output streams to the admin panel line by line
+    env = {**os.environ, "PYTHONUNBUFFERED": "1"}
+
+    for banner, args, failure_message in STEPS:
+        print_flush(f"\n--- {banner} ---")
+        result = subprocess.run([sys.executable, *args], cwd=script_dir, env=env)
+        if result.returncode != 0:
+            print_flush(f"\n!!! ERROR: {failure_message} !!!")
+            return result.returncode
+
+    print_flush("\n--- Full retraining process completed successfully! ---")
+    return 0
+
+if __name__ == "__main__":
+    sys.exit(main())
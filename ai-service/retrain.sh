@@ -0,0 +1,8 @@
+#!/usr/bin/env sh
+# Manual retraining on Linux/macOS. admin_server.py runs retrain.py directly on every OS.
+cd "$(dirname "$0")" || exit 1
+
+# Activate the virtual environment
+. ./venv/bin/activate
+
+exec python retrain.py
@@ -0,0 +1,36 @@
+// backend/config/db.js
+const mongoose = require("mongoose");
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/docubot";
+
+// Waits between connection attempts while MongoDB is unreachable at startup; the last one repeats
+const RETRY_DELAYS_MS = [5, 10, 30, 60].map((seconds) => seconds * 1000);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+// Connects mongoose at startup, retrying with backoff until MongoDB is reachable. Resolves
+// once connected (after that, mongoose reconnects by itself). The server keeps running in the
+// meantime so the chat proxy still works; routes that need the database report it as unavailable.
+const connectDB = async () => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+      // Host and database only: the URI may hold a username and password
+      const { host, port, name } = mongoose.connection;
+      console.log(`SUCCESS: Connected to MongoDB at ${host}:${port}/${name}`);
+      return true;
+    } catch (error) {
+      const delay = RETRY_DELAYS_MS[Math.min(attempt, RETRY_DELAYS_MS.length - 1)];
+      if (attempt === 0) {
+        console.error("ERROR: Could not connect to MongoDB:", error.message);
+        console.error("Admin login and other database features are unavailable until MongoDB is running.");
+      }
+      console.error(`Retrying the MongoDB connection in ${delay / 1000}s...`);
+      await wait(delay);
+    }
+  }
+};
+
+const isDBConnected = () => mongoose.connection.readyState === 1;
+
+module.exports = { connectDB, isDBConnected };
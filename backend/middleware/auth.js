@@ -0,0 +1,69 @@
+// backend/middleware/auth.js
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const { isDBConnected } = require("../config/db");
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Rejects requests without a valid session token. Sets req.user and req.token.
+const requireAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ message: "Authentication required. Please log in." });
+  }
+  if (!isDBConnected()) {
+    return res.status(503).json({ message: "Authentication service unavailable. Is MongoDB running?" });
+  }
+
+  try {
+    const session = await Session.findActive(token);
+    if (!session || !session.user) {
+      return res.status(401).json({ message: "Your session has expired. Please log in again." });
+    }
+    req.user = session.user;
+    req.token = token;
+    next();
+  } catch (error) {
+    console.error("Error verifying session:", error.message);
+    res.status(500).json({ message: "Could not verify your session." });
+  }
+};
+
+// Must run after requireAuth. Allows the request only for the listed roles.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: "You do not have permission to perform this action." });
+  }
+  next();
+};
+
+// Rejects public API requests without an active key in the X-API-Key header. Sets req.apiKey.
+// Errors use the public API's { error, code } shape (see openapi.json).
+const requireApiKey = async (req, res, next) => {
+  const key = req.get("X-API-Key");
+  if (!key) {
+    return res.status(401).json({ error: "An API key is required in the X-API-Key header.", code: "UNAUTHORIZED" });
+  }
+  if (!isDBConnected()) {
+    return res.status(503).json({ error: "API key verification is unavailable. Please try again later.", code: "UNAVAILABLE" });
+  }
+
+  try {
+    const apiKey = await ApiKey.findActive(key);
+    if (!apiKey) {
+      return res.status(401).json({ error: "This API key is invalid or has been revoked.", code: "UNAUTHORIZED" });
+    }
+    apiKey.markUsed().catch((error) => console.error("Could not record API key use:", error.message));
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error("Error verifying API key:", error.message);
+    res.status(500).json({ error: "Could not verify the API key.", code: "INTERNAL_ERROR" });
+  }
+};
+
+module.exports = { requireAuth, requireRole, requireApiKey };
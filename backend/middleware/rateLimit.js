@@ -0,0 +1,65 @@
+// backend/middleware/rateLimit.js
+
+/**
+ * Fixed-window counter kept in memory (one backend process serves the chat), for limits
+ * outside of Express routes such as messaging channels.
+ *
+ *   const counter = createRateCounter({ windowMs, max });
+ *   const { count, retryAfter } = counter.hit(key);
+ *
+ * `retryAfter` is 0 while `key` is within `max` hits per window, otherwise the seconds
+ * until its window ends. `count` includes this hit.
+ */
+const createRateCounter = ({ windowMs, max }) => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow with every visitor
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  const hit = (key) => {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    if (window.count <= max) return { count: window.count, retryAfter: 0 };
+    return { count: window.count, retryAfter: Math.max(1, Math.ceil((window.resetAt - now) / 1000)) };
+  };
+
+  return { hit };
+};
+
+/**
+ * Fixed-window request limiter kept in memory (one backend process serves the chat).
+ *
+ *   createRateLimiter({ windowMs, max, keyOf, onLimit })
+ *
+ * `keyOf(req)` picks what is counted (an IP, a sender id); requests it returns no key
+ * for are not limited. Over the limit, `onLimit(req, res, retryAfterSeconds)` answers the
+ * request, or a plain 429 with Retry-After is sent.
+ */
+const createRateLimiter = ({ windowMs, max, keyOf, onLimit }) => {
+  const counter = createRateCounter({ windowMs, max });
+
+  return (req, res, next) => {
+    const key = keyOf(req);
+    if (!key || max <= 0) return next();
+
+    const { retryAfter } = counter.hit(key);
+    if (!retryAfter) return next();
+
+    if (onLimit) return onLimit(req, res, retryAfter);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: "Too many requests. Please try again later.", retryAfter });
+  };
+};
+
+module.exports = { createRateCounter, createRateLimiter };
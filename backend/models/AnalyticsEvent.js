@@ -0,0 +1,17 @@
+// backend/models/AnalyticsEvent.js
+const mongoose = require("mongoose");
+
+// One document per chat query, written by chatRoutes.js
+const analyticsEventSchema = new mongoose.Schema({
+  timestamp: { type: Date, default: Date.now, index: true },
+  sessionId: { type: String, default: null },
+  query: { type: String, default: "" },
+  language: { type: String, default: null },
+  latencyMs: { type: Number, default: null },
+  // "answered" | "fallback" (no confident answer) | "chitchat" (greetings etc.) | "error"
+  outcome: { type: String, required: true },
+  fallbackReason: { type: String, default: null },
+  topDocument: { type: String, default: null },
+});
+
+module.exports = mongoose.model("AnalyticsEvent", analyticsEventSchema);
@@ -0,0 +1,66 @@
+// backend/models/ApiKey.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Keys look like "dbk_<43 random characters>"; the prefix tells them apart from session tokens
+const KEY_PREFIX = "dbk_";
+// How much of a key the Admin Panel shows to tell keys apart
+const VISIBLE_LENGTH = KEY_PREFIX.length + 6;
+// lastUsedAt is only written when it is older than this, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Only a hash of the key is stored, like session tokens (see Session.js)
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    keyHash: { type: String, required: true, unique: true },
+    // First characters of the key, shown in the Admin Panel
+    prefix: { type: String, required: true },
+    createdBy: { type: String, default: null },
+    lastUsedAt: { type: Date, default: null },
+    // Revoked keys are kept so the Admin Panel can still show who had access
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Creates a key for a third-party integration. Returns the raw key (shown to the admin
+ * once; it can't be recovered later) and the stored record.
+ */
+apiKeySchema.statics.issue = async function ({ name, createdBy }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const apiKey = await this.create({
+    name,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, VISIBLE_LENGTH),
+    createdBy: createdBy || null,
+  });
+  return { key, apiKey };
+};
+
+apiKeySchema.statics.findActive = function (key) {
+  return this.findOne({ keyHash: hashKey(String(key)), revokedAt: null });
+};
+
+apiKeySchema.methods.markUsed = async function () {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+  this.lastUsedAt = new Date();
+  await this.save();
+};
+
+apiKeySchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+  };
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,23 @@
+// backend/models/Conversation.js
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    sender: { type: String, enum: ["user", "bot"], required: true },
+    text: { type: String, default: "" },
+    // Citations exactly as the action server produced them ({ title, page, url, ... })
+    sources: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true, unique: true },
+    messages: { type: [messageSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Conversation", conversationSchema);
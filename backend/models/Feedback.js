@@ -0,0 +1,22 @@
+// backend/models/Feedback.js
+const mongoose = require("mongoose");
+
+const feedbackSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true, index: true },
+    rating: { type: String, enum: ["up", "down"], required: true },
+    comment: { type: String, default: "" },
+    query: { type: String, default: "" },
+    answer: { type: String, default: "" },
+    language: { type: String, default: null },
+    // Citations of the rated answer ({ title, page, section, score })
+    sources: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // Cited document names, kept separately so the review page can filter on them
+    documents: { type: [String], default: [], index: true },
+  },
+  { timestamps: true }
+);
+
+feedbackSchema.index({ rating: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Feedback", feedbackSchema);
@@ -0,0 +1,39 @@
+// backend/models/Session.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+// Only a hash of the token is stored, so a database leak doesn't leak live sessions
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+  // MongoDB removes the document once this date passes
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+/**
+ * Starts a session for a user and returns the raw bearer token (shown to the client once).
+ */
+sessionSchema.statics.issue = async function (userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.create({
+    tokenHash: hashToken(token),
+    user: userId,
+    expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000),
+  });
+  return token;
+};
+
+sessionSchema.statics.findActive = function (token) {
+  return this.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).populate("user");
+};
+
+sessionSchema.statics.revoke = function (token) {
+  return this.deleteOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
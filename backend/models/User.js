@@ -0,0 +1,61 @@
+// backend/models/User.js
+const crypto = require("crypto");
+const { promisify } = require("util");
+const mongoose = require("mongoose");
+
+const scrypt = promisify(crypto.scrypt);
+
+// "admin" can change the knowledge base and retrain; "viewer" can only look
+const ROLES = ["admin", "viewer"];
+
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: "viewer" },
+  },
+  { timestamps: true }
+);
+
+// Passwords are stored as `<salt>:<scrypt hash>`, both hex encoded
+userSchema.methods.setPassword = async function (password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  this.passwordHash = `${salt}:${hash.toString("hex")}`;
+};
+
+userSchema.methods.verifyPassword = async function (password) {
+  const [salt, storedHash] = (this.passwordHash || "").split(":");
+  if (!salt || !storedHash) return false;
+  const hash = await scrypt(password, salt, 64);
+  const expected = Buffer.from(storedHash, "hex");
+  return expected.length === hash.length && crypto.timingSafeEqual(hash, expected);
+};
+
+userSchema.methods.toPublic = function () {
+  return { id: this._id, username: this.username, role: this.role };
+};
+
+/**
+ * Creates the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD when the
+ * users collection is empty, so a fresh install has a way to log in.
+ */
+userSchema.statics.ensureDefaultAdmin = async function () {
+  if ((await this.countDocuments()) > 0) return;
+
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    console.warn("WARNING: No admin users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD in .env to create one.");
+    return;
+  }
+
+  const admin = new this({ username, role: "admin" });
+  await admin.setPassword(password);
+  await admin.save();
+  console.log(`SUCCESS: Created initial admin user '${admin.username}'.`);
+};
+
+userSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,294 @@
+/*
+ * DocuBot chat widget: a floating chat bubble for other websites (college site, LMS pages).
+ * Self-contained, with no dependencies; the backend serves it at /widget.js.
+ *
+ *   <script src="https://docubot.example.edu/widget.js"
+ *           data-title="Ask the Exam Cell"
+ *           data-collection="exams"
+ *           data-language="hi"
+ *           data-theme="dark"
+ *           data-color="#7c3aed" defer></script>
+ *
+ * All attributes are optional:
+ *   data-title       header text (default "DocuBot")
+ *   data-collection  only answer from this collection (an id from GET /api/config/collections)
+ *   data-language    answer in this language instead of detecting it (e.g. "hi")
+ *   data-theme       "light" (default) or "dark"
+ *   data-color       accent color of the bubble and the user's messages
+ *   data-api         backend URL, if it differs from where this script is loaded from
+ *
+ * The page's origin must be listed in the backend's config/embedOrigins.json.
+ */
+(function () {
+  "use strict";
+
+  var script = document.currentScript;
+  if (!script || window.__docubotWidgetLoaded) return;
+  window.__docubotWidgetLoaded = true;
+
+  var data = script.dataset;
+  var apiBase = (data.api || new URL(script.src, window.location.href).origin).replace(/\/+$/, "");
+  var options = {
+    title: data.title || "DocuBot",
+    collection: data.collection || "",
+    language: data.language || "",
+    theme: data.theme === "dark" ? "dark" : "light",
+    // Only plain colors, since the value ends up in the widget's stylesheet
+    color: /^#[0-9a-f]{3,8}$/i.test(data.color || "") ? data.color : "#2563eb",
+  };
+
+  var SESSION_KEY = "docubot_widget_session";
+  var WELCOME = "Hello! I can answer questions from our documents. Ask me anything!";
+  // Same wording as the chat app's progress indicator
+  var PROGRESS_LABELS = {
+    queued: "Waiting for a free slot...",
+    "translating-query": "Understanding your question...",
+    retrieving: "Searching the documents...",
+    "re-ranking": "Picking the best passages...",
+    generating: "Writing the answer...",
+    translating: "Translating...",
+  };
+  // Matches the backend's CHAT_MAX_MESSAGE_LENGTH default
+  var MAX_MESSAGE_LENGTH = 1000;
+
+  // Session ids only use the characters the backend accepts ([A-Za-z0-9_-])
+  var sessionId = (function () {
+    try {
+      var stored = window.localStorage.getItem(SESSION_KEY);
+      if (stored) return stored;
+    } catch (error) {
+      // Storage can be blocked in third-party contexts; a per-page session still works
+    }
+    // The id is all it takes to read the transcript, so it comes from the Web Crypto API
+    // (randomUUID needs https or localhost; getRandomValues works on plain http too)
+    var id = window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : Array.prototype.map.call(window.crypto.getRandomValues(new Uint8Array(16)), function (byte) {
+          return ("0" + byte.toString(16)).slice(-2);
+        }).join("");
+    try {
+      window.localStorage.setItem(SESSION_KEY, id);
+    } catch (error) {
+      // See above
+    }
+    return id;
+  })();
+
+  var palette = options.theme === "dark"
+    ? { background: "#0f172a", surface: "#1e293b", text: "#e2e8f0", muted: "#94a3b8", border: "#334155" }
+    : { background: "#ffffff", surface: "#f1f5f9", text: "#1e293b", muted: "#64748b", border: "#e2e8f0" };
+
+  var STYLES = [
+    ":host { all: initial; }",
+    "* { box-sizing: border-box; font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; }",
+    ".bubble { position: fixed; right: 20px; bottom: 20px; width: 56px; height: 56px; border: none;",
+    "  border-radius: 50%; background: " + options.color + "; color: #fff; cursor: pointer;",
+    "  box-shadow: 0 6px 20px rgba(0,0,0,.25); display: flex; align-items: center; justify-content: center;",
+    "  z-index: 2147483000; }",
+    ".bubble svg { width: 26px; height: 26px; }",
+    ".panel { position: fixed; right: 20px; bottom: 88px; width: 360px; max-width: calc(100vw - 40px);",
+    "  height: 520px; max-height: calc(100vh - 120px); display: none; flex-direction: column;",
+    "  background: " + palette.background + "; color: " + palette.text + "; border: 1px solid " + palette.border + ";",
+    "  border-radius: 14px; box-shadow: 0 12px 40px rgba(0,0,0,.3); overflow: hidden; z-index: 2147483000; }",
+    ".panel.open { display: flex; }",
+    ".header { display: flex; align-items: center; justify-content: space-between; padding: 12px 14px;",
+    "  background: " + options.color + "; color: #fff; font-weight: 600; font-size: 15px; }",
+    ".close { background: none; border: none; color: #fff; font-size: 20px; line-height: 1; cursor: pointer; }",
+    ".messages { flex: 1; overflow-y: auto; padding: 12px; display: flex; flex-direction: column; gap: 8px; }",
+    ".message { max-width: 85%; padding: 8px 11px; border-radius: 12px; font-size: 14px; line-height: 1.45;",
+    "  white-space: pre-wrap; overflow-wrap: anywhere; }",
+    ".bot { align-self: flex-start; background: " + palette.surface + "; }",
+    ".user { align-self: flex-end; background: " + options.color + "; color: #fff; }",
+    ".sources { margin-top: 6px; padding-top: 6px; border-top: 1px solid " + palette.border + "; font-size: 12px; }",
+    ".sources a { display: block; color: " + options.color + "; text-decoration: none; margin-top: 2px; }",
+    ".sources a:hover { text-decoration: underline; }",
+    ".status { font-size: 12px; color: " + palette.muted + "; padding: 0 14px 6px; min-height: 18px; }",
+    ".composer { display: flex; gap: 8px; padding: 10px; border-top: 1px solid " + palette.border + "; }",
+    ".input { flex: 1; padding: 9px 11px; border-radius: 9px; border: 1px solid " + palette.border + ";",
+    "  background: " + palette.background + "; color: " + palette.text + "; font-size: 14px; }",
+    ".send { padding: 0 14px; border: none; border-radius: 9px; background: " + options.color + "; color: #fff;",
+    "  font-weight: 600; cursor: pointer; }",
+    ".send:disabled { opacity: .5; cursor: not-allowed; }",
+  ].join("\n");
+
+  var CHAT_ICON =
+    '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" ' +
+    'stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>';
+
+  var element = function (tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    // Replies are always inserted as text, never as HTML
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  var host = element("div");
+  host.id = "docubot-widget";
+  var root = host.attachShadow({ mode: "open" });
+  var style = element("style");
+  style.textContent = STYLES;
+  root.appendChild(style);
+
+  var bubble = element("button", "bubble");
+  bubble.type = "button";
+  bubble.setAttribute("aria-label", "Open chat: " + options.title);
+  bubble.innerHTML = CHAT_ICON;
+
+  var panel = element("div", "panel");
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", options.title);
+  var header = element("div", "header");
+  header.appendChild(element("span", "", options.title));
+  var closeButton = element("button", "close", "×");
+  closeButton.type = "button";
+  closeButton.setAttribute("aria-label", "Close chat");
+  header.appendChild(closeButton);
+
+  var messages = element("div", "messages");
+  messages.setAttribute("aria-live", "polite");
+  var status = element("div", "status");
+  var composer = element("form", "composer");
+  var input = element("input", "input");
+  input.type = "text";
+  input.maxLength = MAX_MESSAGE_LENGTH;
+  input.placeholder = "Type your question...";
+  input.setAttribute("aria-label", "Your question");
+  var sendButton = element("button", "send", "Send");
+  sendButton.type = "submit";
+  composer.appendChild(input);
+  composer.appendChild(sendButton);
+
+  panel.appendChild(header);
+  panel.appendChild(messages);
+  panel.appendChild(status);
+  panel.appendChild(composer);
+  root.appendChild(panel);
+  root.appendChild(bubble);
+
+  var addMessage = function (text, sender) {
+    var node = element("div", "message " + sender, text);
+    messages.appendChild(node);
+    messages.scrollTop = messages.scrollHeight;
+    return node;
+  };
+
+  var showSources = function (node, sources) {
+    if (!sources || sources.length === 0) return;
+    var list = element("div", "sources", "Sources:");
+    sources.forEach(function (source) {
+      var url = apiBase + "/api/documents/" + encodeURIComponent(source.title) + (source.page ? "#page=" + source.page : "");
+      var where = source.page ? " (page " + source.page + ")" : source.section ? " (" + source.section + ")" : "";
+      var link = element("a", "", source.title.replace(/^\d{13}-/, "") + where);
+      link.href = url;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      list.appendChild(link);
+    });
+    node.appendChild(list);
+    messages.scrollTop = messages.scrollHeight;
+  };
+
+  var setBusy = function (busy, label) {
+    input.disabled = busy;
+    sendButton.disabled = busy;
+    status.textContent = busy ? label || "Thinking..." : "";
+  };
+
+  // Streams the reply over /api/chat/stream, like the chat app
+  var ask = function (question) {
+    addMessage(question, "user");
+    setBusy(true);
+
+    var params = new URLSearchParams({ message: question, sender: sessionId });
+    if (options.language) params.set("language", options.language);
+    if (options.collection) params.set("collection", options.collection);
+    var events = new EventSource(apiBase + "/api/chat/stream?" + params.toString());
+    var answerNode = null;
+    var replied = false;
+    var finished = false;
+
+    var finish = function () {
+      finished = true;
+      events.close();
+      setBusy(false);
+      input.focus();
+    };
+    var parse = function (event) {
+      try {
+        return JSON.parse(event.data);
+      } catch (error) {
+        return {};
+      }
+    };
+
+    events.addEventListener("progress", function (event) {
+      status.textContent = PROGRESS_LABELS[parse(event).stage] || "Thinking...";
+    });
+    events.addEventListener("delta", function (event) {
+      replied = true;
+      var text = parse(event).text || "";
+      if (!answerNode) {
+        answerNode = addMessage(text, "bot");
+      } else {
+        answerNode.firstChild.textContent += text;
+        messages.scrollTop = messages.scrollHeight;
+      }
+    });
+    events.addEventListener("sources", function (event) {
+      if (answerNode) showSources(answerNode, parse(event).sources);
+    });
+    events.addEventListener("message", function (event) {
+      replied = true;
+      var reply = parse(event);
+      showSources(addMessage(reply.text || "", "bot"), reply.sources);
+    });
+    events.addEventListener("chat-error", function (event) {
+      replied = true;
+      var problem = parse(event);
+      addMessage(problem.error || "Sorry, something went wrong. Please try again.", "bot");
+    });
+    events.addEventListener("done", function () {
+      if (!replied) addMessage("Sorry, I didn't get a specific response.", "bot");
+      finish();
+    });
+    // Connection refused, or this site isn't allowed to use the chat (CORS)
+    events.onerror = function () {
+      if (finished) return;
+      if (!replied) addMessage("Sorry, the assistant can't be reached right now.", "bot");
+      finish();
+    };
+  };
+
+  var open = function (isOpen) {
+    panel.classList.toggle("open", isOpen);
+    bubble.setAttribute("aria-expanded", String(isOpen));
+    if (isOpen) {
+      if (!messages.firstChild) addMessage(WELCOME, "bot");
+      input.focus();
+    }
+  };
+
+  bubble.addEventListener("click", function () {
+    open(!panel.classList.contains("open"));
+  });
+  closeButton.addEventListener("click", function () {
+    open(false);
+  });
+  composer.addEventListener("submit", function (event) {
+    event.preventDefault();
+    var question = input.value.trim();
+    if (!question || input.disabled) return;
+    input.value = "";
+    ask(question);
+  });
+
+  var mount = function () {
+    document.body.appendChild(host);
+  };
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener("DOMContentLoaded", mount);
+  }
+})();
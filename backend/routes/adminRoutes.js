@@ -1,89 +1,632 @@
 // backend/routes/adminRoutes.js
 const express = require("express");
 const multer = require("multer");
-const path = require("path");
 const fs = require("fs");
-const axios = require("axios"); // Use axios to forward the request
+const documentLibrary = require("../services/documentLibrary");
+const { cleanDisplayName, sanitizeFileName, validateUpload } = require("../services/uploadValidation");
+const { extractArchive, isArchive } = require("../services/archiveExtractor");
+const jobQueue = require("../services/jobQueue");
+const feedbackStore = require("../services/feedbackStore");
+const analyticsStore = require("../services/analyticsStore");
+const aiAdminClient = require("../services/aiAdminClient");
+const ApiKey = require("../models/ApiKey");
+const { requireAuth, requireRole } = require("../middleware/auth");
 const router = express.Router();
 
-// Build absolute destination for PDF uploads
-const pdfsDir = path.resolve(__dirname, "..", "..", "ai-service", "documents", "pdfs");
+// Every admin route needs a logged-in user; changes additionally need the "admin" role
+router.use(requireAuth);
+const adminOnly = requireRole("admin");
 
-// Ensure directory exists
-if (!fs.existsSync(pdfsDir)) {
-  fs.mkdirSync(pdfsDir, { recursive: true });
-  console.log("Created PDFs directory at:", pdfsDir);
-}
+// Uploads land in the staging folder (created by the document library on load), which
+// isn't served publicly; the index job moves them into the library once text extraction works
+const { stagingDir } = documentLibrary;
+
+// --- Background Jobs ---
+// Retraining and index updates run as background jobs so admins can close the tab and
+// come back to them. Only one job runs at a time; the rest wait in the queue.
+jobQueue.defineJob("retrain", ({ log, signal }) => aiAdminClient.retrain({ onOutput: log, signal }));
+jobQueue.defineJob("index", ({ log, signal }) => aiAdminClient.updateIndex({ onOutput: log, signal }));
+
+// Queues an incremental vector store update after the library changed.
+// Callers can pass `?index=false` to skip it (e.g. when a full retrain follows anyway).
+const queueIndexUpdate = async (req) => {
+  if (req.query.index === "false") return null;
+  const { job } = await jobQueue.enqueue("index", { requestedBy: req.user.username });
+  return job;
+};
+
+// --- Document Upload Configuration ---
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // 50MB limit (adjust as needed)
+const MAX_BULK_FILES = 50;
+
+// To avoid accidental overwrites, prefix with a timestamp. Files of one bulk upload (or
+// one archive) arrive within the same millisecond, so the timestamp never repeats.
+let lastTimestamp = 0;
+const stagedFileName = (originalName) => {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return `${lastTimestamp}-${sanitizeFileName(originalName)}`;
+};
 
-// --- PDF Upload Configuration ---
 const pdfStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, pdfsDir);
+    cb(null, stagingDir);
   },
   filename: (req, file, cb) => {
-    // To avoid accidental overwrites, prefix with timestamp
-    const timestamp = Date.now();
-    const safeName = file.originalname.replace(/\s+/g, "_");
-    cb(null, `${timestamp}-${safeName}`);
+    cb(null, stagedFileName(file.originalname));
   },
 });
 
 const upload = multer({
   storage: pdfStorage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit (adjust as needed)
+  // Browsers send UTF-8 filenames; the default (latin1) garbles names like "नोटिस.pdf"
+  defParamCharset: "utf8",
+  limits: { fileSize: MAX_UPLOAD_BYTES },
   fileFilter: (req, file, cb) => {
-    // Ensure that only PDF files can be uploaded
-    if (file.mimetype === "application/pdf") {
+    // Check the extension: browsers report inconsistent mimetypes for .md and .docx
+    if (documentLibrary.isSupportedFile(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error("Only .pdf files are allowed!"), false);
+      cb(new Error(`Only ${documentLibrary.SUPPORTED_EXTENSIONS.join(", ")} files are allowed!`), false);
     }
   },
 });
 
-// @route   POST /api/admin/upload
-// @desc    Handles the upload of a single PDF file
-router.post("/upload", upload.single("pdf"), (req, res) => {
+// Checks the uploaded bytes (magic bytes, PDF parse) before anything else looks at the file.
+// Rejected files are deleted straight away with 422 and the reason.
+const rejectInvalidUpload = async (req, res, next) => {
   if (!req.file) {
     return res.status(400).json({ message: "No file uploaded." });
   }
-  res.status(200).json({
-    message: `File '${req.file.originalname}' uploaded successfully.`,
-    savedAs: req.file.filename,
-    filename: req.file.originalname,
+  try {
+    await validateUpload(req.file.path, req.file.originalname);
+    next();
+  } catch (error) {
+    fs.rm(req.file.path, { force: true }, () => {});
+    if (error.code !== "INVALID_UPLOAD") {
+      console.error("Error validating upload:", error.message);
+      return res.status(500).json({ message: "Could not check the uploaded file." });
+    }
+    res.status(422).json({ message: `'${cleanDisplayName(req.file.originalname)}' was rejected: ${error.message}` });
+  }
+};
+
+// @route   POST /api/admin/upload
+// @desc    Handles the upload of a single document (PDF, DOCX, TXT, Markdown or HTML). If the same bytes are already in the
+//          library the upload is rejected with 409, unless `?replace=true` is passed, in
+//          which case the existing copy is replaced instead of creating a new one.
+//          The optional `collection` form field (sent before the file) names the collection
+//          the document joins; it defaults to "General".
+//          The file must pass validation (see rejectInvalidUpload) and then waits in the
+//          staging folder; the queued index job moves it into the library once its text can
+//          be extracted, or reports why not (see `status`/`error` in GET /api/admin/documents).
+router.post("/upload", adminOnly, upload.single("pdf"), rejectInvalidUpload, async (req, res) => {
+  const filename = cleanDisplayName(req.file.originalname);
+  let collection;
+  try {
+    collection = documentLibrary.normalizeCollectionName(req.body?.collection);
+  } catch (error) {
+    fs.rm(req.file.path, { force: true }, () => {});
+    return res.status(400).json({ message: error.message });
+  }
+
+  let recorded = false;
+  try {
+    const { sha256, duplicate } = await documentLibrary.findDuplicate(req.file);
+    if (duplicate) {
+      fs.rm(req.file.path, { force: true }, () => {});
+      if (req.query.replace !== "true") {
+        return res.status(409).json({
+          message: `'${filename}' is already in the library as '${duplicate.originalName}'.`,
+          duplicateOf: duplicate,
+        });
+      }
+      // Same bytes, so only the name changes and the vector store needs no update
+      const document = await documentLibrary.renameDocument(duplicate.storedName, filename);
+      return res.status(200).json({
+        message: `File '${filename}' replaced the existing copy.`,
+        savedAs: document.storedName,
+        filename,
+        replaced: true,
+      });
+    }
+
+    await documentLibrary.recordUpload(req.file, { sha256, collection, originalName: filename });
+    recorded = true;
+    const indexJob = await queueIndexUpdate(req);
+    res.status(200).json({
+      message: `File '${filename}' uploaded to '${collection}'. It joins the library once its text has been extracted.`,
+      savedAs: req.file.filename,
+      filename,
+      collection,
+      indexJob,
+    });
+  } catch (error) {
+    console.error(`Error uploading '${filename}':`, error.message);
+    // A recorded upload stays staged for the next index update
+    if (!recorded) fs.rm(req.file.path, { force: true }, () => {});
+    res.status(500).json({
+      message: recorded
+        ? `File '${filename}' was uploaded, but the index update could not be queued.`
+        : `Could not upload '${filename}'.`,
+    });
+  }
+});
+
+// Bulk uploads also take .zip archives. Unsupported files don't fail the whole request:
+// they are skipped here and reported in the per-file results.
+const bulkUpload = multer({
+  storage: pdfStorage,
+  defParamCharset: "utf8",
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_BULK_FILES },
+  fileFilter: (req, file, cb) => {
+    if (documentLibrary.isSupportedFile(file.originalname) || isArchive(file.originalname)) {
+      return cb(null, true);
+    }
+    req.unsupportedFiles = [...(req.unsupportedFiles || []), cleanDisplayName(file.originalname)];
+    cb(null, false);
+  },
+});
+
+// Too many or too large files fail the whole request; answer with the reason, not a 500
+const receiveBulkFiles = (req, res, next) => {
+  bulkUpload.array("files", MAX_BULK_FILES)(req, res, (error) => {
+    if (!error) return next();
+    const messages = {
+      LIMIT_FILE_COUNT: `Please upload at most ${MAX_BULK_FILES} files at a time.`,
+      LIMIT_FILE_SIZE: `Each file must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.`,
+    };
+    res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ message: messages[error.code] || error.message });
+  });
+};
+
+// Validates, de-duplicates and records one staged file, deleting it unless it was accepted.
+// Returns its entry for the bulk upload results.
+const stageUploadedFile = async (file, collection) => {
+  const filename = cleanDisplayName(file.originalname);
+  try {
+    await validateUpload(file.path, file.originalname);
+    const { sha256, duplicate } = await documentLibrary.findDuplicate(file);
+    if (duplicate) {
+      fs.rm(file.path, { force: true }, () => {});
+      return {
+        filename,
+        status: "duplicate",
+        message: `Already in the library as '${duplicate.originalName}'.`,
+        duplicateOf: duplicate.storedName,
+      };
+    }
+    await documentLibrary.recordUpload(file, { sha256, collection, originalName: filename });
+    return { filename, status: "uploaded", message: `Uploaded to '${collection}'.`, savedAs: file.filename };
+  } catch (error) {
+    fs.rm(file.path, { force: true }, () => {});
+    if (error.code !== "INVALID_UPLOAD") {
+      console.error(`Error staging bulk upload '${filename}':`, error.message);
+      return { filename, status: "rejected", message: "Could not process this file." };
+    }
+    return { filename, status: "rejected", message: error.message };
+  }
+};
+
+// Expands an uploaded archive into the staging folder and stages each file in it
+const stageUploadedArchive = async (archive, collection) => {
+  const archiveName = cleanDisplayName(archive.originalname);
+  try {
+    const { files, skipped } = await extractArchive(archive.path, {
+      destinationDir: stagingDir,
+      nameFor: stagedFileName,
+      accept: documentLibrary.isSupportedFile,
+    });
+    const results = skipped.map(({ name, reason }) => ({ filename: name, status: "skipped", message: reason }));
+    for (const file of files) {
+      results.push({ ...(await stageUploadedFile(file, collection)), filename: file.entryName });
+    }
+    if (results.length === 0) {
+      return [{ filename: archiveName, status: "rejected", message: "The archive has no files in it." }];
+    }
+    return results.map((result) => ({ ...result, archive: archiveName }));
+  } catch (error) {
+    if (error.code !== "INVALID_UPLOAD") {
+      console.error(`Error extracting archive '${archiveName}':`, error.message);
+    }
+    const message = error.code === "INVALID_UPLOAD" ? error.message : "Could not extract this archive.";
+    return [{ filename: archiveName, status: "rejected", message }];
+  } finally {
+    fs.rm(archive.path, { force: true }, () => {});
+  }
+};
+
+// @route   POST /api/admin/upload/bulk
+// @desc    Uploads up to 50 documents at once in the `files` field. ZIP archives are expanded
+//          (see services/archiveExtractor.js for the limits) and each file in them handled
+//          like a separate upload. Every file is validated and checked for duplicates on its
+//          own, so one bad file doesn't fail the rest: the response lists each file with
+//          `status` "uploaded", "duplicate", "rejected" or "skipped" and a `message`.
+//          The optional `collection` form field works as for single uploads. One index update
+//          is queued for the whole batch, or a full retrain when the `retrain` field is "true".
+router.post("/upload/bulk", adminOnly, receiveBulkFiles, async (req, res) => {
+  const uploads = req.files || [];
+  const unsupported = req.unsupportedFiles || [];
+  if (uploads.length === 0 && unsupported.length === 0) {
+    return res.status(400).json({ message: "No files uploaded." });
+  }
+  let collection;
+  try {
+    collection = documentLibrary.normalizeCollectionName(req.body?.collection);
+  } catch (error) {
+    uploads.forEach((file) => fs.rm(file.path, { force: true }, () => {}));
+    return res.status(400).json({ message: error.message });
+  }
+
+  const results = unsupported.map((filename) => ({
+    filename,
+    status: "skipped",
+    message: `Only ${documentLibrary.SUPPORTED_EXTENSIONS.join(", ")} and .zip files are allowed.`,
+  }));
+  // One at a time, so duplicates within the batch are caught as well
+  for (const file of uploads) {
+    if (isArchive(file.originalname)) {
+      results.push(...(await stageUploadedArchive(file, collection)));
+    } else {
+      results.push(await stageUploadedFile(file, collection));
+    }
+  }
+
+  const uploaded = results.filter((result) => result.status === "uploaded").length;
+  let job = null;
+  let jobProblem = "";
+  if (uploaded > 0) {
+    try {
+      job =
+        req.body?.retrain === "true"
+          ? (await jobQueue.enqueue("retrain", { requestedBy: req.user.username })).job
+          : await queueIndexUpdate(req);
+    } catch (error) {
+      // The files stay staged for the next index update, so still report them
+      console.error("Error queuing the job for a bulk upload:", error.message);
+      jobProblem = " The index update could not be queued; retrain to add them to the library.";
+    }
+  }
+  res.json({
+    message: `${uploaded} of ${results.length} file(s) uploaded to '${collection}'.${jobProblem}`,
+    collection,
+    results,
+    job,
   });
 });
 
-// --- Model Retraining Endpoint ---
-// @route   POST /api/admin/retrain
-// @desc    This endpoint now acts as a proxy to the Python admin server.
-router.post("/retrain", async (req, res) => {
-  console.log("Received retraining request. Forwarding to Python admin server...");
+// --- Document Library Endpoints ---
+// Rejects requests for documents that aren't in the library before any upload is written
+const requireExistingDocument = async (req, res, next) => {
+  const document = await documentLibrary.getDocument(req.params.name);
+  if (!document) {
+    return res.status(404).json({ message: `Document '${req.params.name}' not found.` });
+  }
+  req.document = document;
+  next();
+};
 
-  const adminServerUrl = process.env.PYTHON_ADMIN_URL || "http://localhost:8000/retrain";
+// @route   GET /api/admin/documents
+// @desc    Lists every document in the knowledge base with its metadata, including staged
+//          uploads: `status` is "pending" (waiting for text extraction), "ready" or "failed"
+//          (with the reason in `error`); `live` says whether a copy is in the public library
+router.get("/documents", async (req, res) => {
+  try {
+    const documents = await documentLibrary.listDocuments();
+    res.json({ documents });
+  } catch (error) {
+    console.error("Error listing documents:", error.message);
+    res.status(500).json({ message: "Could not read the document library." });
+  }
+});
 
+// @route   POST /api/admin/documents/dedupe
+// @desc    One-off cleanup: finds PDFs with identical contents and keeps a single copy.
+//          Pass `?dryRun=true` to see what would be removed without deleting anything.
+router.post("/documents/dedupe", adminOnly, async (req, res) => {
   try {
-    const response = await axios({
-      method: "post",
-      url: adminServerUrl,
-      responseType: "stream",
-      timeout: 30 * 60 * 1000, // 30 minutes - retraining can be long
+    const dryRun = req.query.dryRun === "true";
+    const result = await documentLibrary.dedupeDocuments({ dryRun });
+    const verb = dryRun ? "would be removed" : "removed";
+    const indexJob = !dryRun && result.removedCount > 0 ? await queueIndexUpdate(req) : null;
+    res.json({
+      message: `${result.removedCount} duplicate file(s) ${verb} across ${result.groups.length} group(s).`,
+      dryRun,
+      ...result,
+      indexJob,
     });
+  } catch (error) {
+    console.error("Error removing duplicate documents:", error.message);
+    res.status(500).json({ message: "Could not remove duplicate documents." });
+  }
+});
 
-    // Set status code from python server
-    res.status(response.status);
+// The replacement must have the same format, since the stored name decides how it is indexed
+const requireSameFormat = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "No file uploaded." });
+  }
+  const expected = documentLibrary.extensionOf(req.params.name);
+  if (documentLibrary.extensionOf(req.file.originalname) !== expected) {
+    fs.rm(req.file.path, { force: true }, () => {});
+    return res.status(400).json({ message: `Please choose a ${expected} file to replace this document.` });
+  }
+  next();
+};
 
-    // Pipe python stream directly to the client
-    response.data.pipe(res);
+// @route   PUT /api/admin/documents/:name
+// @desc    Replaces the contents of a stored document, keeping its stored name. The new
+//          file is validated and staged like an upload; the current version stays in use
+//          until the index job has extracted text from the new one.
+router.put("/documents/:name", adminOnly, requireExistingDocument, upload.single("pdf"), requireSameFormat, rejectInvalidUpload, async (req, res) => {
+  try {
+    const { sha256, duplicate } = await documentLibrary.findDuplicate(req.file, req.params.name);
+    if (duplicate) {
+      fs.rm(req.file.path, { force: true }, () => {});
+      return res.status(409).json({
+        message: `That file is already in the library as '${duplicate.originalName}'.`,
+        duplicateOf: duplicate,
+      });
+    }
+    const document = await documentLibrary.replaceDocument(req.params.name, req.file, {
+      sha256,
+      originalName: cleanDisplayName(req.file.originalname),
+    });
+    const indexJob = await queueIndexUpdate(req);
+    res.json({
+      message: `New version of '${document.originalName}' uploaded. It replaces the current one once its text has been extracted.`,
+      document,
+      indexJob,
+    });
+  } catch (error) {
+    console.error("Error replacing document:", error.message);
+    fs.rm(req.file.path, { force: true }, () => {});
+    res.status(500).json({ message: "Could not replace the document." });
+  }
+});
 
+// @route   PATCH /api/admin/documents/:name
+// @desc    Renames a document's display name (the stored file is left as-is) with
+//          `{ originalName }`, or moves it to another collection with `{ collection }`.
+//          Moving queues an index update, since each collection has its own index.
+router.patch("/documents/:name", adminOnly, requireExistingDocument, async (req, res) => {
+  if (req.body?.collection !== undefined) {
+    let collection;
+    try {
+      collection = documentLibrary.normalizeCollectionName(req.body.collection);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    try {
+      const document = await documentLibrary.setDocumentCollection(req.params.name, collection);
+      const indexJob =
+        documentLibrary.collectionId(collection) !== req.document.collectionId ? await queueIndexUpdate(req) : null;
+      return res.json({ message: `Document moved to '${collection}'.`, document, indexJob });
+    } catch (error) {
+      console.error("Error moving document:", error.message);
+      return res.status(500).json({ message: "Could not move the document." });
+    }
+  }
+
+  if (!String(req.body?.originalName || "").trim()) {
+    return res.status(400).json({ message: "A new name is required." });
+  }
+  // Cleaned and capped like the names of uploads
+  const originalName = cleanDisplayName(req.body.originalName);
+  try {
+    const document = await documentLibrary.renameDocument(req.params.name, originalName);
+    res.json({ message: `Document renamed to '${originalName}'.`, document });
   } catch (error) {
-    console.error("Error forwarding retraining request to Python server:", error.message);
-    if (error.response && error.response.data) {
-      // try to send python server's message
-      res.status(error.response.status || 500).send("Error: Could not connect to the AI retraining service. Please ensure admin_server.py is running.");
-    } else {
-      res.status(500).send("Error: Could not connect to the AI retraining service. Please ensure admin_server.py is running.");
+    console.error("Error renaming document:", error.message);
+    res.status(500).json({ message: "Could not rename the document." });
+  }
+});
+
+// @route   DELETE /api/admin/documents/:name
+// @desc    Removes a PDF from the knowledge base
+router.delete("/documents/:name", adminOnly, requireExistingDocument, async (req, res) => {
+  try {
+    await documentLibrary.removeDocument(req.params.name);
+    const indexJob = await queueIndexUpdate(req);
+    res.json({ message: `Document '${req.document.originalName}' deleted.`, indexJob });
+  } catch (error) {
+    console.error("Error deleting document:", error.message);
+    res.status(500).json({ message: "Could not delete the document." });
+  }
+});
+
+// @route   GET /api/admin/index
+// @desc    Shows the vector store version on disk and the one the chatbot is answering from
+router.get("/index", async (req, res) => {
+  try {
+    res.json(await documentLibrary.getIndexStatus());
+  } catch (error) {
+    console.error("Error reading index status:", error.message);
+    res.status(500).json({ message: "Could not read the index status." });
+  }
+});
+
+// @route   POST /api/admin/index
+// @desc    Queues an index update, e.g. after a series of uploads sent with `?index=false`.
+//          If one is already waiting to start, that job is returned instead.
+router.post("/index", adminOnly, async (req, res) => {
+  try {
+    const { job, created } = await jobQueue.enqueue("index", { requestedBy: req.user.username });
+    res.status(created ? 202 : 200).json({
+      message: created ? "Index update queued." : "An index update is already waiting to start.",
+      job,
+    });
+  } catch (error) {
+    console.error("Error queuing index update:", error.message);
+    res.status(500).json({ message: "Could not queue the index update." });
+  }
+});
+
+// --- API Keys (for the public /api/v1 API) ---
+// @route   GET /api/admin/api-keys
+// @desc    Lists API keys, newest first, including revoked ones. Keys are only shown in full when created.
+router.get("/api-keys", async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+    res.json({ apiKeys: apiKeys.map((apiKey) => apiKey.toPublic()) });
+  } catch (error) {
+    console.error("Error listing API keys:", error.message);
+    res.status(500).json({ message: "Could not load the API keys." });
+  }
+});
+
+// @route   POST /api/admin/api-keys
+// @desc    Creates an API key for an integration: { name }. The response's `key` is the only
+//          time the full key is shown.
+router.post("/api-keys", adminOnly, async (req, res) => {
+  const name = String(req.body?.name || "").trim();
+  if (!name || name.length > 100) {
+    return res.status(400).json({ message: "Please name the key (at most 100 characters), e.g. after the app using it." });
+  }
+  try {
+    const { key, apiKey } = await ApiKey.issue({ name, createdBy: req.user.username });
+    console.log(`🔑 API key '${name}' created by ${req.user.username}.`);
+    res.status(201).json({
+      message: `API key '${name}' created. Copy it now: it won't be shown again.`,
+      key,
+      apiKey: apiKey.toPublic(),
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error.message);
+    res.status(500).json({ message: "Could not create the API key." });
+  }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revokes an API key; requests using it are rejected from then on
+router.delete("/api-keys/:id", adminOnly, async (req, res) => {
+  if (!/^[a-f0-9]{24}$/i.test(req.params.id)) {
+    return res.status(404).json({ message: "API key not found." });
+  }
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found." });
+    }
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      console.log(`🔑 API key '${apiKey.name}' revoked by ${req.user.username}.`);
     }
+    res.json({ message: `API key '${apiKey.name}' revoked.`, apiKey: apiKey.toPublic() });
+  } catch (error) {
+    console.error("Error revoking API key:", error.message);
+    res.status(500).json({ message: "Could not revoke the API key." });
+  }
+});
+
+// --- Answer Feedback and Analytics ---
+// @route   GET /api/admin/feedback?rating=down&document=<stored name>&from=YYYY-MM-DD&to=YYYY-MM-DD
+// @desc    Lists answer feedback, newest first (negative feedback unless `rating=all|up|down`)
+//          together with the documents cited in it, for the review page's filters
+router.get("/feedback", async (req, res) => {
+  const rating = req.query.rating === "all" ? null : req.query.rating || "down";
+  if (rating && !feedbackStore.RATINGS.includes(rating)) {
+    return res.status(400).json({ message: "Invalid rating filter." });
+  }
+  const parseDay = (value, endOfDay) => {
+    if (!value) return null;
+    const date = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}`);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  };
+  const from = parseDay(req.query.from, false);
+  const to = parseDay(req.query.to, true);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ message: "Dates must look like YYYY-MM-DD." });
+  }
+
+  try {
+    res.json(await feedbackStore.listFeedback({ rating, document: req.query.document || null, from, to }));
+  } catch (error) {
+    console.error("Error listing feedback:", error.message);
+    res.status(500).json({ message: "Could not load feedback." });
+  }
+});
+
+// @route   GET /api/admin/analytics?days=30
+// @desc    Usage over the last `days` days: queries per day, top cited documents,
+//          unanswered-question rate, language mix and the most frequent unanswered questions
+router.get("/analytics", async (req, res) => {
+  try {
+    res.json(await analyticsStore.getSummary({ days: Number(req.query.days) || 30 }));
+  } catch (error) {
+    console.error("Error building analytics:", error.message);
+    res.status(500).json({ message: "Could not load analytics." });
+  }
+});
+
+// --- Model Retraining Jobs ---
+// @route   POST /api/admin/retrain
+// @desc    Queues a full retrain on the Python admin server and returns the job.
+//          If a retrain is already waiting to start, that job is returned instead.
+router.post("/retrain", adminOnly, async (req, res) => {
+  console.log(`Received retraining request from ${req.user.username}. Queuing job...`);
+  try {
+    const { job, created } = await jobQueue.enqueue("retrain", { requestedBy: req.user.username });
+    res.status(created ? 202 : 200).json({
+      message: created ? "Retraining job queued." : "A retraining job is already waiting to start.",
+      job,
+    });
+  } catch (error) {
+    console.error("Error queuing retraining job:", error.message);
+    res.status(500).json({ message: "Could not queue the retraining job." });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Lists recent jobs, newest first. `?status=queued,running` finds active jobs.
+router.get("/jobs", (req, res) => {
+  const status = req.query.status ? String(req.query.status).split(",") : undefined;
+  res.json({ jobs: jobQueue.listJobs({ type: req.query.type, status }) });
+});
+
+// @route   GET /api/admin/jobs/:id
+// @desc    Returns a job's status
+router.get("/jobs/:id", (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ message: "Job not found." });
+  }
+  res.json({ job });
+});
+
+// @route   GET /api/admin/jobs/:id/logs?since=<offset>
+// @desc    Returns job output from byte offset `since`, plus the offset to poll from next
+router.get("/jobs/:id/logs", async (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ message: "Job not found." });
+  }
+  const since = Number.parseInt(req.query.since, 10) || 0;
+  try {
+    const { logs, next } = await jobQueue.readLogs(job.id, since);
+    res.json({ status: job.status, logs, next });
+  } catch (error) {
+    console.error(`Error reading logs of job ${job.id}:`, error.message);
+    res.status(500).json({ message: "Could not read the job's output." });
+  }
+});
+
+// @route   DELETE /api/admin/jobs/:id
+// @desc    Cancels a queued or running job
+router.delete("/jobs/:id", adminOnly, async (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ message: "Job not found." });
+  }
+  try {
+    if (!(await jobQueue.cancelJob(job.id))) {
+      return res.status(409).json({ message: `Job already ${job.status}.`, job });
+    }
+    console.log(`Job ${job.id} cancelled by ${req.user.username}.`);
+    res.json({ message: "Cancellation requested.", job });
+  } catch (error) {
+    console.error(`Error cancelling job ${job.id}:`, error.message);
+    res.status(500).json({ message: "Could not cancel the job." });
   }
 });
 
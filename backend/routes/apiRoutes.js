@@ -0,0 +1,145 @@
+// backend/routes/apiRoutes.js
+// Versioned public API for third-party integrations (college portal, mobile app). Unlike
+// /api/chat, which forwards Rasa's raw replies to our own frontend, every response here
+// follows the schema in openapi.json. Errors are always { error, code }.
+const crypto = require("crypto");
+const express = require("express");
+const analyticsStore = require("../services/analyticsStore");
+const conversationStore = require("../services/conversationStore");
+const {
+  MAX_MESSAGE_LENGTH,
+  LANGUAGE_PATTERN,
+  COLLECTION_PATTERN,
+  askRasa,
+  describeAIError,
+} = require("../services/rasaClient");
+const { createRateLimiter } = require("../middleware/rateLimit");
+const { requireApiKey } = require("../middleware/auth");
+const openApiDocument = require("../openapi.json");
+const router = express.Router();
+
+const RATE_LIMIT_PER_KEY = Number(process.env.API_RATE_LIMIT_PER_KEY) || 60;
+
+const apiError = (res, status, code, error, retryAfter) => {
+  if (retryAfter) res.set("Retry-After", String(retryAfter));
+  return res.status(status).json(retryAfter ? { error, code, retryAfter } : { error, code });
+};
+
+const limitPerKey = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: RATE_LIMIT_PER_KEY,
+  keyOf: (req) => String(req.apiKey._id),
+  onLimit: (req, res, retryAfter) =>
+    apiError(res, 429, "RATE_LIMITED", "Too many requests for this API key. Please slow down.", retryAfter),
+});
+
+// Checks the body of POST /ask; returns an error message, or null when it is fine
+const invalidAskRequest = ({ question, language, collection, sessionId }) => {
+  if (typeof question !== "string" || !question.trim()) return "`question` is required.";
+  if (question.length > MAX_MESSAGE_LENGTH) return `\`question\` can be at most ${MAX_MESSAGE_LENGTH} characters long.`;
+  if (language != null && !(typeof language === "string" && LANGUAGE_PATTERN.test(language))) {
+    return "`language` must be a language code such as \"hi\".";
+  }
+  if (collection != null && !(typeof collection === "string" && COLLECTION_PATTERN.test(collection))) {
+    return "`collection` must be a collection id from GET /api/config/collections.";
+  }
+  if (sessionId != null && !conversationStore.isValidSessionId(sessionId)) {
+    return "`sessionId` may only contain letters, digits, \"_\" and \"-\" (at most 64).";
+  }
+  return null;
+};
+
+// Maps the errors describeAIError knows to the public API's codes
+const AI_ERROR_CODES = { 429: "BUSY", 504: "TIMEOUT" };
+
+// Links to cited documents must work from the caller's side, not the action server's
+const documentUrl = (req, source) => {
+  const url = `${req.protocol}://${req.get("host")}/api/documents/${encodeURIComponent(source.title)}`;
+  return source.page ? `${url}#page=${source.page}` : url;
+};
+
+/**
+ * Turns Rasa's replies into the AskResponse schema. The RAG answer is a `custom` payload
+ * with `answered`; anything else (greetings, small talk) is plain `text`.
+ */
+const toAskResponse = (req, rasaMessages, { sessionId, language }) => {
+  const replies = Array.isArray(rasaMessages) ? rasaMessages : [];
+  const payload = replies.map((reply) => reply.custom).find((custom) => custom && "answered" in custom);
+  const texts = replies.map((reply) => (reply.custom ? reply.custom.text : reply.text)).filter(Boolean);
+
+  const sources = (payload?.sources || []).map((source) => ({
+    title: String(source.title || ""),
+    url: documentUrl(req, source),
+    page: source.page ?? null,
+    section: source.section ?? null,
+    collection: source.collection ?? null,
+    snippet: source.snippet || "",
+    score: typeof source.score === "number" ? source.score : null,
+  }));
+
+  let reason = null;
+  if (payload && !payload.answered) reason = payload.reason || "unanswered";
+  if (!payload) reason = texts.length > 0 ? "chitchat" : "no_reply";
+  const answered = !!payload?.answered;
+
+  return {
+    answer: payload ? payload.text || "" : texts.join("\n"),
+    answered,
+    reason,
+    language: payload?.language || language || null,
+    // Re-ranker relevance of the best source; null when there is none or no re-ranker ran
+    confidence: answered && typeof sources[0]?.score === "number" ? sources[0].score : null,
+    sources,
+    sessionId,
+  };
+};
+
+// @route   POST /api/v1/ask
+// @desc    Answers a question from the document library. Body: { question, language?,
+//          collection?, sessionId? }; pass the returned sessionId back for follow-up questions.
+//          Responds with { answer, answered, reason, language, confidence, sources, sessionId }.
+// @access  API key (X-API-Key header, created in the Admin Panel)
+router.post("/ask", requireApiKey, limitPerKey, async (req, res) => {
+  const body = req.body || {};
+  const problem = invalidAskRequest(body);
+  if (problem) {
+    return apiError(res, 400, "INVALID_REQUEST", problem);
+  }
+
+  const sessionId = body.sessionId || crypto.randomUUID();
+  // Conversations of different keys never mix, even if two clients pick the same sessionId
+  const sender = `api-${req.apiKey._id}-${sessionId}`;
+  const metadata = {};
+  if (body.language) metadata.language = body.language;
+  if (body.collection) metadata.collection = body.collection;
+
+  const clientLeft = new AbortController();
+  res.on("close", () => clientLeft.abort());
+  const startedAt = Date.now();
+  const recordAnalytics = (details) =>
+    analyticsStore.recordQuery({ sessionId: sender, query: body.question, latencyMs: Date.now() - startedAt, ...details })
+      .catch((error) => console.error("⚠️  Could not record analytics event:", error.message));
+
+  try {
+    const response = await askRasa(sender, body.question, { signal: clientLeft.signal, metadata });
+    recordAnalytics(analyticsStore.describeReplies(response.data));
+    res.json(toAskResponse(req, response.data, { sessionId, language: body.language }));
+  } catch (aiError) {
+    if (aiError.code === "ABORTED") return;
+    console.error(`❌ API key '${req.apiKey.name}': error communicating with the AI service:`, aiError.message);
+    recordAnalytics({ outcome: "error", fallbackReason: aiError.code || "ai_service_error" });
+    const { status, body: errorBody, retryAfter } = describeAIError(aiError);
+    // Rasa's own error details stay in the server log
+    const publicStatus = AI_ERROR_CODES[status] ? status : 502;
+    apiError(res, publicStatus, AI_ERROR_CODES[status] || "AI_SERVICE_ERROR", errorBody.error, retryAfter);
+  }
+});
+
+// @route   GET /api/v1/openapi.json
+// @desc    OpenAPI 3 description of this API, with this server as the base URL
+// @access  Public
+router.get("/openapi.json", (req, res) => {
+  res.json({ ...openApiDocument, servers: [{ url: `${req.protocol}://${req.get("host")}` }] });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// backend/routes/authRoutes.js
+const express = require("express");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { requireAuth } = require("../middleware/auth");
+const { isDBConnected } = require("../config/db");
+const router = express.Router();
+
+// @route   POST /api/auth/login
+// @desc    Exchanges a username and password for a session token
+// @access  Public
+router.post("/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ message: "Username and password are required." });
+  }
+  if (!isDBConnected()) {
+    return res.status(503).json({ message: "Authentication service unavailable. Is MongoDB running?" });
+  }
+
+  try {
+    const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+    if (!user || !(await user.verifyPassword(String(password)))) {
+      return res.status(401).json({ message: "Invalid username or password." });
+    }
+    const token = await Session.issue(user._id);
+    console.log(`🔐 Admin login: ${user.username} (${user.role})`);
+    res.json({ token, user: user.toPublic() });
+  } catch (error) {
+    console.error("Error during login:", error.message);
+    res.status(500).json({ message: "Login failed due to a server error." });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Ends the current session
+// @access  Authenticated
+router.post("/logout", requireAuth, async (req, res) => {
+  try {
+    await Session.revoke(req.token);
+    res.json({ message: "Logged out." });
+  } catch (error) {
+    console.error("Error during logout:", error.message);
+    res.status(500).json({ message: "Logout failed due to a server error." });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Returns the user behind the current session token
+// @access  Authenticated
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ user: req.user.toPublic() });
+});
+
+module.exports = router;
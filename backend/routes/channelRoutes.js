@@ -0,0 +1,51 @@
+// backend/routes/channelRoutes.js
+const express = require("express");
+const channels = require("../services/channels");
+const router = express.Router();
+
+// Links in answers must open from the user's phone, so prefer the public address
+const baseUrlOf = (req) => (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+
+// Finds the adapter for :channel; channels without credentials answer 404
+const requireChannel = (req, res, next) => {
+  const adapter = channels.getAdapter(req.params.channel);
+  if (!adapter || !adapter.isConfigured()) {
+    return res.status(404).json({ error: "Unknown or unconfigured channel." });
+  }
+  req.channel = adapter;
+  next();
+};
+
+// @route   GET /api/channels/:channel/webhook
+// @desc    Webhook verification handshake (WhatsApp sends hub.mode, hub.verify_token and
+//          hub.challenge when the webhook is registered; the challenge is echoed back)
+// @access  Messaging platform
+router.get("/:channel/webhook", requireChannel, (req, res) => {
+  const challenge = req.channel.verifySubscription(req.query);
+  if (challenge === null) {
+    return res.status(403).json({ error: "Webhook verification failed." });
+  }
+  res.type("text/plain").send(challenge);
+});
+
+// @route   POST /api/channels/:channel/webhook
+// @desc    Incoming messages from a messaging platform. The call's signature or secret is
+//          checked, the webhook is acknowledged straight away (platforms retry slow webhooks)
+//          and each question is answered with a plain-text message through the platform's API.
+// @access  Messaging platform
+router.post("/:channel/webhook", requireChannel, (req, res) => {
+  if (!req.channel.verifyRequest(req)) {
+    console.warn(`⚠️  Rejected ${req.channel.name} webhook call with an invalid signature.`);
+    return res.status(401).json({ error: "Invalid webhook signature." });
+  }
+  const messages = req.channel.parseUpdates(req.body);
+  res.sendStatus(200);
+
+  const baseUrl = baseUrlOf(req);
+  for (const message of messages) {
+    console.log(`➡️  ${req.channel.name} message received.`);
+    channels.handleMessage(req.channel, message, { baseUrl });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,208 @@
 const express = require("express");
-const axios = require("axios");
+const { EventEmitter } = require("events");
+const conversationStore = require("../services/conversationStore");
+const feedbackStore = require("../services/feedbackStore");
+const analyticsStore = require("../services/analyticsStore");
+const embedOrigins = require("../services/embedOrigins");
+const { getPublicLanguages } = require("../services/languageConfig");
+const { createRateLimiter } = require("../middleware/rateLimit");
+const {
+    AI_SERVICE_URL,
+    MAX_MESSAGE_LENGTH,
+    LANGUAGE_PATTERN,
+    COLLECTION_PATTERN,
+    askRasa,
+    describeAIError,
+} = require("../services/rasaClient");
 const router = express.Router();
 
-const AI_SERVICE_URL = process.env.RASA_URL || "http://localhost:5005/webhooks/rest/webhook";
+// --- Abuse Protection ---
+// Every question runs embedding, re-ranking and summarization on the CPU, so limit how
+// often one client may ask (services/rasaClient.js limits how many Rasa works on at once).
+const RATE_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_PER_SENDER = Number(process.env.CHAT_RATE_LIMIT_PER_SENDER) || 10;
+const RATE_LIMIT_PER_IP = Number(process.env.CHAT_RATE_LIMIT_PER_IP) || 30;
+
+// Sends an error to the client. EventSource can't read error responses, so on /stream the
+// error is sent as a `chat-error` event instead (with the same status and retryAfter).
+const rejectChat = (req, res, status, body, retryAfter) => {
+    const payload = retryAfter ? { ...body, retryAfter } : body;
+    if (retryAfter) res.set("Retry-After", String(retryAfter));
+    if (req.path !== "/stream") {
+        return res.status(status).json(payload);
+    }
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache, no-transform" });
+    res.write(`event: chat-error\ndata: ${JSON.stringify({ ...payload, status })}\n\n`);
+    res.write("event: done\ndata: {}\n\n");
+    return res.end();
+};
+
+const tooManyRequests = (req, res, retryAfter) =>
+    rejectChat(req, res, 429, { error: "You're sending questions too quickly. Please wait a moment." }, retryAfter);
+
+const chatMessageOf = (req) => (req.method === "GET" ? req.query : req.body) || {};
+
+const limitPerIP = createRateLimiter({
+    windowMs: RATE_WINDOW_MS,
+    max: RATE_LIMIT_PER_IP,
+    keyOf: (req) => req.ip,
+    onLimit: tooManyRequests,
+});
+
+const limitPerSender = createRateLimiter({
+    windowMs: RATE_WINDOW_MS,
+    max: RATE_LIMIT_PER_SENDER,
+    keyOf: (req) => {
+        const { sender } = chatMessageOf(req);
+        return sender ? String(sender) : null;
+    },
+    onLimit: tooManyRequests,
+});
+
+// Rejects missing and overly long messages before they count against any limit
+const validateChatMessage = (req, res, next) => {
+    const { message, sender } = chatMessageOf(req);
+    if (!message || !sender) {
+        return rejectChat(req, res, 400, { error: "Message and sender are required." });
+    }
+    if (String(message).length > MAX_MESSAGE_LENGTH) {
+        return rejectChat(req, res, 413, { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters long.` });
+    }
+    next();
+};
+
+// Chat requests from other websites (the embeddable widget) need their origin listed in
+// config/embedOrigins.json and may only search that origin's collections. Without a
+// collection, the first one listed is searched.
+const checkEmbedOrigin = async (req, res, next) => {
+    const origin = req.get("Origin");
+    if (!origin || embedOrigins.isSameOrigin(req, origin)) return next();
+    const policy = await embedOrigins.getOriginPolicy(origin);
+    if (!policy) {
+        return rejectChat(req, res, 403, { error: "This website is not allowed to use the chat." });
+    }
+    if (policy.collections !== "*") {
+        const { collection } = chatMessageOf(req);
+        if (collection && !policy.collections.includes(collection)) {
+            return rejectChat(req, res, 403, { error: "This collection is not available on this website." });
+        }
+        req.embedCollection = collection || policy.collections[0];
+    }
+    next();
+};
+
+const protectChat = [checkEmbedOrigin, validateChatMessage, limitPerIP, limitPerSender];
+
+// Votes get their own counters with the same limits, so rating answers never uses up questions
+const tooManyVotes = (req, res, retryAfter) =>
+    rejectChat(req, res, 429, { error: "You're sending feedback too quickly. Please wait a moment." }, retryAfter);
+
+const limitFeedbackPerIP = createRateLimiter({
+    windowMs: RATE_WINDOW_MS,
+    max: RATE_LIMIT_PER_IP,
+    keyOf: (req) => req.ip,
+    onLimit: tooManyVotes,
+});
+
+const limitFeedbackPerSession = createRateLimiter({
+    windowMs: RATE_WINDOW_MS,
+    max: RATE_LIMIT_PER_SENDER,
+    keyOf: (req) => {
+        const { sessionId } = req.body || {};
+        return sessionId ? String(sessionId) : null;
+    },
+    onLimit: tooManyVotes,
+});
+
+// Choices the user made in the UI (language, collection), passed to the action server as
+// Rasa message metadata (see askRasa). Only the format is checked here; anything else is dropped.
+const chatOptionsOf = (req) => {
+    const { language, collection = req.embedCollection } = chatMessageOf(req);
+    const options = {};
+    if (typeof language === "string" && LANGUAGE_PATTERN.test(language)) options.language = language;
+    if (typeof collection === "string" && COLLECTION_PATTERN.test(collection)) options.collection = collection;
+    return options;
+};
+
+// Rasa replies either with `custom` (our json_message payload) or plain `text`
+const toTranscriptMessages = (rasaMessages) =>
+    (Array.isArray(rasaMessages) ? rasaMessages : [])
+        .filter((botMsg) => botMsg.custom || botMsg.text)
+        .map((botMsg) => ({
+            sender: "bot",
+            text: botMsg.custom ? botMsg.custom.text : botMsg.text,
+            sources: botMsg.custom ? botMsg.custom.sources : [],
+        }));
+
+// History is best-effort: a storage failure must never break the chat itself
+const saveToTranscript = (sessionId, messages) =>
+    conversationStore.appendMessages(sessionId, messages).catch((error) => {
+        console.error(`⚠️  Could not save transcript for session ${sessionId}:`, error.message);
+    });
+
+// Records one analytics event per query; like the transcript, this must never break the chat
+const recordAnalytics = (sender, message, startedAt, { rasaMessages, error } = {}) => {
+    const details = error
+        ? { outcome: "error", fallbackReason: error.code || "ai_service_error" }
+        : analyticsStore.describeReplies(rasaMessages);
+    analyticsStore.recordQuery({ sessionId: sender, query: message, latencyMs: Date.now() - startedAt, ...details })
+        .catch((recordError) => {
+            console.error("⚠️  Could not record analytics event:", recordError.message);
+        });
+};
+
+// Progress reported by the action server, keyed by sender, for open /stream connections
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0);
+
+// Shared secret so only the action server can post progress. Without one, only callers on
+// this machine may (the socket address, not req.ip, which TRUST_PROXY lets clients set).
+const PROGRESS_TOKEN = process.env.PROGRESS_TOKEN;
+const LOOPBACK_ADDRESSES = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+const isTrustedProgressCaller = (req) =>
+    PROGRESS_TOKEN
+        ? req.get("X-Progress-Token") === PROGRESS_TOKEN
+        : LOOPBACK_ADDRESSES.has(req.socket.remoteAddress);
+
+// Splits an answer into sentences (including the Devanagari danda) so the UI can speak the first one early
+const splitSentences = (text) => (text || "").match(/[^.!?।]+[.!?।]*\s*/g) || [];
 
 // @route   POST /api/chat
-// @desc    Handles chat messages from the user by proxying to the Rasa AI Server
+// @desc    Handles chat messages from the user by proxying to the Rasa AI Server.
+//          Body: { message, sender, language?, collection? } (language overrides detection,
+//          e.g. "hi"; collection limits the search to one collection id, e.g. "exams")
 // @access  Public
-router.post("/", async (req, res) => {
+router.post("/", protectChat, async (req, res) => {
     try {
         const { message, sender } = req.body;
 
-        if (!message || !sender) {
-            return res.status(400).json({ error: "Message and sender are required." });
-        }
-
         console.log(`➡️  Received message: "${message}" from sender: ${sender}`);
         console.log(`➡️  Forwarding to Rasa AI service at ${AI_SERVICE_URL}`);
+        saveToTranscript(sender, [{ sender: "user", text: message }]);
+        const startedAt = Date.now();
+        // Give up the queue place if the client goes away while waiting
+        const clientLeft = new AbortController();
+        res.on("close", () => clientLeft.abort());
 
         try {
-            const response = await axios.post(AI_SERVICE_URL, {
-                sender: sender,
-                message: message,
-            }, { 
-                // Increased timeout to allow for RAG and LLM calls
-                timeout: 60 * 1000 
-            }); 
+            const response = await askRasa(sender, message, {
+                signal: clientLeft.signal,
+                metadata: chatOptionsOf(req),
+            });
 
             console.log("⬅️  Received response from AI service. Forwarding to client.");
+            saveToTranscript(sender, toTranscriptMessages(response.data));
+            recordAnalytics(sender, message, startedAt, { rasaMessages: response.data });
             // Forward response.data as-is, which contains the text and json_message payload
             return res.json(response.data);
 
         } catch (aiError) {
+            if (aiError.code === "ABORTED") return;
             console.error("❌ Error communicating with the AI service:", aiError.message);
-            // Check for connection timeout errors
-            if (aiError.code === 'ECONNABORTED' || aiError.code === 'ETIMEDOUT') {
-                return res.status(504).json({
-                    error: "AI service connection timed out. It might be retraining or under heavy load.",
-                });
-            }
-            if (aiError.response && aiError.response.data) {
-                // forward Rasa error body if present
-                return res.status(aiError.response.status || 500).json({ error: "AI service error", details: aiError.response.data });
-            }
-            return res.status(500).json({
-                error: "Sorry, I'm having trouble connecting to my brain (the AI service).",
-            });
+            recordAnalytics(sender, message, startedAt, { error: aiError });
+            const { status, body, retryAfter } = describeAIError(aiError);
+            return rejectChat(req, res, status, body, retryAfter);
         }
 
     } catch (error) {
@@ -54,4 +211,173 @@ router.post("/", async (req, res) => {
     }
 });
 
+// @route   GET /api/chat/stream?message=...&sender=...&language=...&collection=...
+// @desc    Same as POST /api/chat, but answers over Server-Sent Events:
+//            progress   { stage }               "queued" | "translating-query" | "retrieving" | "re-ranking" | "generating" | "translating"
+//            delta      { text }                next sentence of the answer
+//            sources    { sources, language }   citations and detected language of the streamed answer
+//            message    { text, sources }       a complete reply that wasn't streamed (greetings, fallbacks)
+//            chat-error { error, status, retryAfter? }  the AI service failed or the request was rejected
+//            done       {}
+// @access  Public
+router.get("/stream", protectChat, async (req, res) => {
+    const { message, sender } = req.query;
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        // no-transform stops compression middleware (e.g. the CRA dev proxy) from buffering events
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let clientGone = false;
+    const send = (event, data) => {
+        if (clientGone) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Relay what the action server reports while Rasa is working
+    let answerStreamed = false;
+    let sourcesStreamed = false;
+    const onProgress = (progress) => {
+        if (progress.stage === "answer") {
+            answerStreamed = true;
+            splitSentences(progress.text).forEach((sentence) => send("delta", { text: sentence }));
+        } else if (progress.stage === "sources") {
+            sourcesStreamed = true;
+            send("sources", { sources: progress.sources || [], language: progress.language || null });
+        } else {
+            send("progress", { stage: progress.stage });
+        }
+    };
+    progressEvents.on(sender, onProgress);
+    const clientLeft = new AbortController();
+    res.on("close", () => {
+        clientGone = true;
+        progressEvents.off(sender, onProgress);
+        clientLeft.abort();
+    });
+
+    console.log(`➡️  Received streaming message: "${message}" from sender: ${sender}`);
+    saveToTranscript(sender, [{ sender: "user", text: message }]);
+    const startedAt = Date.now();
+
+    try {
+        const response = await askRasa(sender, message, {
+            signal: clientLeft.signal,
+            onQueued: () => send("progress", { stage: "queued" }),
+            metadata: chatOptionsOf(req),
+        });
+        console.log("⬅️  Received response from AI service. Closing stream.");
+        saveToTranscript(sender, toTranscriptMessages(response.data));
+        recordAnalytics(sender, message, startedAt, { rasaMessages: response.data });
+
+        // Send what wasn't streamed. The action server posts progress from a background thread,
+        // so the "sources" event may still be on its way when Rasa answers; then the sources
+        // of the streamed answer come from its `custom` payload instead.
+        const replies = Array.isArray(response.data) ? response.data : [];
+        for (const botMsg of replies) {
+            if (answerStreamed && botMsg.custom) {
+                if (!sourcesStreamed) {
+                    sourcesStreamed = true;
+                    send("sources", { sources: botMsg.custom.sources || [], language: botMsg.custom.language || null });
+                }
+                continue;
+            }
+            const [reply] = toTranscriptMessages([botMsg]);
+            if (reply) send("message", { text: reply.text, sources: reply.sources });
+        }
+    } catch (aiError) {
+        if (aiError.code === "ABORTED") return;
+        console.error("❌ Error communicating with the AI service:", aiError.message);
+        recordAnalytics(sender, message, startedAt, { error: aiError });
+        const { status, body, retryAfter } = describeAIError(aiError);
+        send("chat-error", retryAfter ? { ...body, status, retryAfter } : { ...body, status });
+    } finally {
+        progressEvents.off(sender, onProgress);
+        send("done", {});
+        res.end();
+    }
+});
+
+// @route   POST /api/chat/progress
+// @desc    Called by the Rasa action server to report pipeline progress for a sender
+// @access  Internal (action server only: X-Progress-Token must match PROGRESS_TOKEN, or the
+//          caller must be on this machine when no token is set)
+router.post("/progress", (req, res) => {
+    if (!isTrustedProgressCaller(req)) {
+        return res.status(403).json({ error: PROGRESS_TOKEN ? "Invalid progress token." : "Progress can only be reported from this machine." });
+    }
+    const { sender, stage } = req.body || {};
+    if (!sender || !stage) {
+        return res.status(400).json({ error: "Sender and stage are required." });
+    }
+    progressEvents.emit(String(sender), req.body);
+    res.status(204).end();
+});
+
+// @route   GET /api/chat/sessions/:id
+// @desc    Returns the saved transcript (user messages and bot replies with sources) of a session
+// @access  Public (session ids are random and only known to their browser)
+router.get("/sessions/:id", async (req, res) => {
+    if (!conversationStore.isValidSessionId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid session id." });
+    }
+    try {
+        const transcript = await conversationStore.getTranscript(req.params.id);
+        if (!transcript) {
+            return res.status(404).json({ error: "No conversation found for this session." });
+        }
+        return res.json(transcript);
+    } catch (error) {
+        console.error("❌ Error reading transcript:", error.message);
+        return res.status(500).json({ error: "Could not load the conversation history." });
+    }
+});
+
+// @route   POST /api/chat/feedback
+// @desc    Rates a bot answer: { sessionId, rating: "up" | "down", comment?, query, answer,
+//          sources, language }. Send the returned `id` back to change the vote or add a comment.
+// @access  Public (feedback is tied to the browser's session id; rate-limited like the chat)
+router.post("/feedback", limitFeedbackPerIP, limitFeedbackPerSession, async (req, res) => {
+    const { id, sessionId, rating, comment, query, language } = req.body || {};
+
+    if (!conversationStore.isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: "A valid sessionId is required." });
+    }
+    if (!feedbackStore.RATINGS.includes(rating)) {
+        return res.status(400).json({ error: `Rating must be one of: ${feedbackStore.RATINGS.join(", ")}.` });
+    }
+    if (comment && String(comment).length > feedbackStore.MAX_COMMENT_LENGTH) {
+        return res.status(400).json({ error: `Comments can be at most ${feedbackStore.MAX_COMMENT_LENGTH} characters.` });
+    }
+    if (query && String(query).length > MAX_MESSAGE_LENGTH) {
+        return res.status(400).json({ error: `Questions can be at most ${MAX_MESSAGE_LENGTH} characters long.` });
+    }
+
+    try {
+        // Answers in a detected language outside languages.json are kept, without the language
+        let knownLanguage = language === undefined ? undefined : null;
+        if (typeof language === "string" && language) {
+            const { languages } = await getPublicLanguages();
+            if (languages.some((configured) => configured.code === language)) knownLanguage = language;
+        }
+        const feedback = await feedbackStore.saveFeedback({
+            ...req.body,
+            id: id ? String(id) : null,
+            comment: comment !== undefined ? String(comment || "").trim() : undefined,
+            language: knownLanguage,
+        });
+        if (!feedback) {
+            return res.status(404).json({ error: "Feedback not found for this session." });
+        }
+        return res.status(id ? 200 : 201).json({ id: feedback.id, rating: feedback.rating, comment: feedback.comment });
+    } catch (error) {
+        console.error("❌ Error saving feedback:", error.message);
+        return res.status(500).json({ error: "Could not save your feedback." });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const { getPublicLanguages } = require("../services/languageConfig");
+const documentLibrary = require("../services/documentLibrary");
+const router = express.Router();
+
+// @route   GET /api/config/languages
+// @desc    Languages for the chat's language picker, speech recognition locale and voice
+//          matching ({ default, languages: [{ code, name, nativeName, locale, voiceNames, translated }] })
+// @access  Public
+router.get("/languages", async (req, res) => {
+    try {
+        res.json(await getPublicLanguages());
+    } catch (error) {
+        console.error("Error loading languages:", error.message);
+        res.status(500).json({ error: "Could not load the languages." });
+    }
+});
+
+// @route   GET /api/config/collections
+// @desc    Document collections for the chat's collection selector
+//          ({ collections: [{ id, name, documents }] }); pass an `id` to /api/chat to search only it
+// @access  Public
+router.get("/collections", async (req, res) => {
+    try {
+        res.json({ collections: await documentLibrary.listCollections() });
+    } catch (error) {
+        console.error("Error listing collections:", error.message);
+        res.status(500).json({ error: "Could not read the document collections." });
+    }
+});
+
+module.exports = router;
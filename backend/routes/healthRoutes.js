@@ -0,0 +1,21 @@
+const express = require("express");
+const { checkHealth } = require("../services/healthCheck");
+const router = express.Router();
+
+// @route   GET /api/health
+// @desc    Probes Rasa, the Rasa action server, the Python admin server, the vector store
+//          and MongoDB. Responds 200 when the chatbot works ("ok", or "degraded" when only
+//          MongoDB is down and file storage is used) and 503 otherwise, with per-component
+//          status and latency either way.
+// @access  Public
+router.get("/", async (req, res) => {
+    try {
+        const report = await checkHealth();
+        res.status(report.status === "unhealthy" ? 503 : 200).json(report);
+    } catch (error) {
+        console.error("❌ Health check failed:", error.message);
+        res.status(500).json({ status: "unhealthy", error: "Health check failed." });
+    }
+});
+
+module.exports = router;
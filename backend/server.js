@@ -3,19 +3,33 @@ const cors = require("cors");
 const path = require("path");
 // Ensure you have `dotenv` installed and a .env file configured
 require('dotenv').config(); 
+const { connectDB } = require("./config/db");
+const embedOrigins = require("./services/embedOrigins");
 
 // --- Route Handlers Setup (Fixed for Robustness) ---
 let chatRoutes;
 let adminRoutes;
+let authRoutes;
+let healthRoutes;
+let configRoutes;
+let apiRoutes;
+let channelRoutes;
+let User;
 
 try {
     // Attempt to import route handlers
     chatRoutes = require("./routes/chatRoutes");
     adminRoutes = require("./routes/adminRoutes");
+    authRoutes = require("./routes/authRoutes");
+    healthRoutes = require("./routes/healthRoutes");
+    configRoutes = require("./routes/configRoutes");
+    apiRoutes = require("./routes/apiRoutes");
+    channelRoutes = require("./routes/channelRoutes");
+    User = require("./models/User");
     console.log("SUCCESS: Route handlers imported successfully.");
 } catch (error) {
     // CRITICAL: Log error if route files cannot be loaded
-    console.error("FATAL ERROR: Failed to import route handlers (chatRoutes/adminRoutes).");
+    console.error("FATAL ERROR: Failed to import route handlers (chatRoutes/adminRoutes/authRoutes/healthRoutes/configRoutes/apiRoutes/channelRoutes).");
     console.error("This usually means files are missing, misnamed, or an error occurred during initialization (e.g., inside chatRoutes.js).");
     console.error("Details:", error.message);
     // You might want to exit the process here to avoid running a crippled server
@@ -26,28 +40,71 @@ const app = express();
 // Default to port 5001 if not specified in environment
 const PORT = process.env.PORT || 5001; 
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so rate limits see
+// the visitor's IP instead of the proxy's
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // --- Middleware ---
-// Enable CORS for the frontend (React defaults to 3000)
-app.use(cors()); 
-// Body parser for JSON
-app.use(express.json()); 
+// The frontend reaches the API through its dev proxy or the same host, so it needs no CORS.
+// Other websites (the chat widget) get CORS headers only if their origin is listed in
+// config/embedOrigins.json; the chat routes also check which collections they may use.
+app.use(cors({
+    origin: (origin, callback) => {
+        if (!origin) return callback(null, false);
+        embedOrigins.getOriginPolicy(origin).then((policy) => callback(null, !!policy), callback);
+    },
+}));
+// Body parser for JSON. The raw bytes are kept for webhooks signed over the exact body (WhatsApp).
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // --- Static File Serving (Crucial for 'View Source' Link) ---
 // Define the path to the ai-service/documents/pdfs folder
 const pdfsDir = path.join(__dirname, "..", "ai-service", "documents", "pdfs");
 // Mount the static handler at the /api/documents endpoint
-app.use("/api/documents", express.static(pdfsDir));
-console.log(`Serving PDF documents statically from: ${pdfsDir}`);
+app.use("/api/documents", express.static(pdfsDir, {
+  setHeaders: (res, filePath) => {
+    // Uploaded HTML notices are shown as documents, never run as part of this origin
+    if (/\.html?$/i.test(filePath)) {
+      res.set("Content-Security-Policy", "sandbox");
+    }
+  },
+}));
+console.log(`Serving library documents statically from: ${pdfsDir}`);
+
+// --- Embeddable Chat Widget ---
+// Other websites add the chat bubble with <script src=".../widget.js" data-...>; see public/widget.js
+app.get("/widget.js", (req, res) => {
+    res.sendFile(path.join(__dirname, "public", "widget.js"), {
+        headers: {
+            "Content-Type": "text/javascript; charset=utf-8",
+            "Cache-Control": "public, max-age=300",
+            "Cross-Origin-Resource-Policy": "cross-origin",
+        },
+    });
+});
 
 
 // --- Route Definitions ---
 // Check if routes were successfully loaded before mounting
-if (chatRoutes && adminRoutes) {
+if (chatRoutes && adminRoutes && authRoutes && healthRoutes && configRoutes && apiRoutes && channelRoutes) {
     // All chat APIs start with /api/chat
     app.use("/api/chat", chatRoutes); 
-    // All admin APIs start with /api/admin
+    // Login/logout for the Admin Panel
+    app.use("/api/auth", authRoutes);
+    // All admin APIs start with /api/admin (guarded by the auth middleware inside the router)
     app.use("/api/admin", adminRoutes);
-    console.log("SUCCESS: Chat and Admin routes mounted.");
+    // Status of every downstream service (Rasa, actions, admin server, vector store, MongoDB)
+    app.use("/api/health", healthRoutes);
+    // Settings the frontend needs at startup (e.g. the supported languages)
+    app.use("/api/config", configRoutes);
+    // Versioned public API for third-party integrations (API key required; see openapi.json)
+    app.use("/api/v1", apiRoutes);
+    // Webhooks of messaging apps (WhatsApp, Telegram) that relay students' questions
+    app.use("/api/channels", channelRoutes);
+    console.log("SUCCESS: Chat, Auth, Admin, Health, Config, public API and channel routes mounted.");
 } else {
     // If routes failed to load, register a generic error handler for the API paths
     app.use("/api/chat", (req, res) => {
@@ -56,14 +113,39 @@ if (chatRoutes && adminRoutes) {
     app.use("/api/admin", (req, res) => {
         res.status(500).send({ error: "Server Initialization Failed: Admin route handler missing." });
     });
+    app.use("/api/auth", (req, res) => {
+        res.status(500).send({ error: "Server Initialization Failed: Auth route handler missing." });
+    });
+    app.use("/api/health", (req, res) => {
+        res.status(500).send({ status: "unhealthy", error: "Server Initialization Failed: Health route handler missing." });
+    });
+    app.use("/api/config", (req, res) => {
+        res.status(500).send({ error: "Server Initialization Failed: Config route handler missing." });
+    });
+    app.use("/api/v1", (req, res) => {
+        res.status(500).send({ error: "Server Initialization Failed: API route handler missing.", code: "INTERNAL_ERROR" });
+    });
+    app.use("/api/channels", (req, res) => {
+        res.status(500).send({ error: "Server Initialization Failed: Channel route handler missing." });
+    });
     console.warn("WARNING: Routes not mounted due to prior import failure.");
 }
 
 
-// Simple health check route
+// Simple liveness check; GET /api/health checks the services behind the backend too
 app.get('/', (req, res) => {
     res.send("Language Agnostic Chatbot Backend API is running on port " + PORT);
 });
 
+// Connect to MongoDB (admin accounts and sessions) without blocking the chat proxy; this
+// resolves whenever MongoDB becomes reachable, which may be long after startup
+connectDB().then(async () => {
+    if (User) {
+        await User.ensureDefaultAdmin().catch((error) => {
+            console.error("ERROR: Could not create the initial admin user:", error.message);
+        });
+    }
+});
+
 // Start Server
 app.listen(PORT, () => console.log(`Backend server listening on port ${PORT}`));
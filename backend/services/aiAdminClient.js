@@ -0,0 +1,50 @@
+// backend/services/aiAdminClient.js
+const axios = require("axios");
+
+// PYTHON_ADMIN_URL historically points at the retrain endpoint itself
+const RETRAIN_URL = process.env.PYTHON_ADMIN_URL || "http://localhost:8000/retrain";
+const ADMIN_SERVER_URL = new URL(RETRAIN_URL).origin;
+const INDEX_URL = `${ADMIN_SERVER_URL}/index`;
+
+// admin_server.py ends its log streams with this line; anything else means it died mid-way
+const EXIT_CODE_PATTERN = /process finished with exit code (-?\d+)/;
+
+/**
+ * Starts a process on the Python admin server, passing each chunk of output to
+ * `onOutput` as it streams in. Aborting `signal` closes the stream, which makes
+ * admin_server.py kill the process. Resolves with the process's exit code.
+ */
+const runStreamingProcess = async (url, { onOutput, signal }) => {
+  const response = await axios({
+    method: "post",
+    url,
+    responseType: "stream",
+    timeout: 30 * 60 * 1000, // 30 minutes - retraining can be long
+    signal,
+  });
+
+  let tail = "";
+  await new Promise((resolve, reject) => {
+    signal?.addEventListener("abort", () => response.data.destroy());
+    response.data.setEncoding("utf8");
+    response.data.on("data", (chunk) => {
+      // Keep a short tail so the exit-code line is found even if split across chunks
+      tail = (tail + chunk).slice(-500);
+      onOutput(chunk);
+    });
+    response.data.on("end", resolve);
+    response.data.on("close", resolve);
+    response.data.on("error", reject);
+  });
+
+  const match = tail.match(EXIT_CODE_PATTERN);
+  return match ? Number(match[1]) : null;
+};
+
+// Full retrain: vector store update followed by `rasa train`
+const retrain = (options) => runStreamingProcess(RETRAIN_URL, options);
+
+// Vector store update only: embeds new/changed PDFs and drops vectors of removed ones
+const updateIndex = (options) => runStreamingProcess(INDEX_URL, options);
+
+module.exports = { ADMIN_SERVER_URL, retrain, updateIndex };
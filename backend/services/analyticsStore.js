@@ -0,0 +1,156 @@
+// backend/services/analyticsStore.js
+const fsp = require("fs/promises");
+const path = require("path");
+const AnalyticsEvent = require("../models/AnalyticsEvent");
+const { isDBConnected } = require("../config/db");
+
+// Events go to MongoDB when it's connected, otherwise one JSON object per line in a file
+const eventsFile = path.resolve(__dirname, "..", "data", "analytics.jsonl");
+
+const MAX_DAYS = 365;
+const TOP_LIMIT = 10;
+
+/**
+ * Classifies Rasa's replies to one query. Answers and fallbacks from the action server are
+ * `custom` payloads with an `answered` flag; plain text replies come from NLU responses.
+ */
+const describeReplies = (rasaMessages) => {
+  const replies = Array.isArray(rasaMessages) ? rasaMessages : [];
+  const payload = replies.map((reply) => reply.custom).find((custom) => custom && "answered" in custom);
+  if (payload) {
+    return {
+      outcome: payload.answered ? "answered" : "fallback",
+      fallbackReason: payload.answered ? null : payload.reason || null,
+      language: payload.language || null,
+      topDocument: payload.sources?.[0]?.title || null,
+    };
+  }
+  // Rasa answered with nothing at all: nobody helped the user
+  if (replies.length === 0) return { outcome: "fallback", fallbackReason: "no_reply" };
+  return { outcome: "chitchat" };
+};
+
+/**
+ * Records one chat query: { sessionId, query, latencyMs, outcome, fallbackReason, language, topDocument }.
+ */
+const recordQuery = async (event) => {
+  const stored = {
+    timestamp: new Date(),
+    sessionId: event.sessionId || null,
+    query: String(event.query || "").slice(0, 1000),
+    language: event.language || null,
+    latencyMs: Number.isFinite(event.latencyMs) ? Math.round(event.latencyMs) : null,
+    outcome: event.outcome,
+    fallbackReason: event.fallbackReason || null,
+    topDocument: event.topDocument || null,
+  };
+
+  if (isDBConnected()) {
+    await AnalyticsEvent.create(stored);
+    return;
+  }
+  await fsp.mkdir(path.dirname(eventsFile), { recursive: true });
+  // A single appendFile of one line is atomic enough for concurrent requests
+  await fsp.appendFile(eventsFile, `${JSON.stringify(stored)}\n`);
+};
+
+const readEventsSince = async (since) => {
+  if (isDBConnected()) {
+    return AnalyticsEvent.find({ timestamp: { $gte: since } }).lean();
+  }
+  let raw;
+  try {
+    raw = await fsp.readFile(eventsFile, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((event) => event && new Date(event.timestamp) >= since);
+};
+
+const countBy = (items, keyOf) => {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Aggregates the last `days` days (UTC) of queries for the admin dashboard.
+ */
+const getSummary = async ({ days = 30 } = {}) => {
+  const span = Math.min(Math.max(Math.floor(days) || 30, 1), MAX_DAYS);
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (span - 1));
+
+  const events = await readEventsSince(since);
+  const unanswered = events.filter((event) => event.outcome === "fallback" || event.outcome === "error");
+  const latencies = events.map((event) => event.latencyMs).filter(Number.isFinite);
+
+  // Every day in the range, including quiet ones, so the chart has no gaps
+  const perDay = new Map();
+  for (let i = 0; i < span; i += 1) {
+    const day = new Date(since);
+    day.setUTCDate(since.getUTCDate() + i);
+    perDay.set(dayOf(day), { date: dayOf(day), queries: 0, unanswered: 0 });
+  }
+  for (const event of events) {
+    const bucket = perDay.get(dayOf(event.timestamp));
+    if (!bucket) continue;
+    bucket.queries += 1;
+    if (event.outcome === "fallback" || event.outcome === "error") bucket.unanswered += 1;
+  }
+
+  const sortCounts = (counts, keyName) =>
+    [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([key, count]) => ({ [keyName]: key, count }));
+
+  // Group unanswered questions case- and whitespace-insensitively
+  const questions = new Map();
+  for (const event of unanswered) {
+    const question = event.query.trim().replace(/\s+/g, " ");
+    const key = question.toLowerCase();
+    if (!key) continue;
+    const entry = questions.get(key) || { question, count: 0, lastAskedAt: null };
+    entry.count += 1;
+    if (!entry.lastAskedAt || new Date(event.timestamp) > new Date(entry.lastAskedAt)) {
+      entry.lastAskedAt = new Date(event.timestamp).toISOString();
+    }
+    questions.set(key, entry);
+  }
+
+  return {
+    days: span,
+    since: since.toISOString(),
+    totals: {
+      queries: events.length,
+      unanswered: unanswered.length,
+      unansweredRate: events.length ? unanswered.length / events.length : 0,
+      averageLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    },
+    queriesPerDay: [...perDay.values()],
+    topDocuments: sortCounts(countBy(events, (event) => event.topDocument), "document").slice(0, TOP_LIMIT),
+    languages: sortCounts(countBy(events, (event) => event.language || "unknown"), "language"),
+    unansweredQuestions: [...questions.values()]
+      .sort((a, b) => b.count - a.count || new Date(b.lastAskedAt) - new Date(a.lastAskedAt))
+      .slice(0, 20),
+  };
+};
+
+module.exports = { describeReplies, recordQuery, getSummary };
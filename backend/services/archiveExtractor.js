@@ -0,0 +1,140 @@
+// backend/services/archiveExtractor.js
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const yauzl = require("yauzl");
+
+// Limits for one archive. The sizes in a ZIP's directory can lie, so entry sizes are
+// also enforced on the bytes actually inflated.
+const LIMITS = {
+  maxEntries: 200, // files extracted from one archive
+  maxDirectoryEntries: 1000, // entries of any kind (folders, skipped files) in one archive
+  maxEntryBytes: 50 * 1024 * 1024, // same as a single upload
+  maxTotalBytes: 500 * 1024 * 1024, // everything extracted from one archive
+  maxCompressionRatio: 100, // larger ratios are treated as a zip bomb
+};
+
+const isArchive = (name) => path.extname(name || "").toLowerCase() === ".zip";
+
+const invalidArchive = (message) => Object.assign(new Error(message), { code: "INVALID_UPLOAD" });
+
+const openZip = (zipPath) =>
+  new Promise((resolve, reject) => {
+    // Entry names with absolute paths or ".." segments are always an error; strictFileNames
+    // adds backslashes. The archive is closed by extractArchive, whatever happens.
+    const options = { lazyEntries: true, autoClose: false, strictFileNames: true, validateEntrySizes: true };
+    yauzl.open(zipPath, options, (error, zip) =>
+      error ? reject(invalidArchive(`This is not a valid ZIP archive (${error.message}).`)) : resolve(zip)
+    );
+  });
+
+const openEntryStream = (zip, entry) =>
+  new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+
+// Entries nobody meant to upload: folders, macOS resource forks and hidden files
+const isJunkEntry = (name) =>
+  name.endsWith("/") || name.startsWith("__MACOSX/") || path.posix.basename(name).startsWith(".");
+
+// Passes bytes through, failing once more than `limit` have gone by
+const byteLimit = (limit, onExceeded) => {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      callback(seen > limit ? onExceeded() : null, chunk);
+    },
+  });
+};
+
+/**
+ * Extracts the files of a ZIP archive that pass `accept(name)` into `destinationDir`,
+ * naming each with `nameFor(baseName)`; folders are flattened and nested archives skipped.
+ * Resolves to { files: [{ path, filename, originalname, entryName }], skipped: [{ name, reason }] },
+ * where the file objects look like multer's so they can be validated and recorded the same
+ * way. Rejects with code "INVALID_UPLOAD" (after removing what it wrote) when the archive
+ * is damaged, unsafe or over the limits above.
+ */
+const extractArchive = async (zipPath, { destinationDir, nameFor, accept, limits = LIMITS }) => {
+  const zip = await openZip(zipPath);
+  const files = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  try {
+    if (zip.entryCount > limits.maxDirectoryEntries) {
+      throw invalidArchive(`The archive has too many entries (at most ${limits.maxDirectoryEntries} are allowed).`);
+    }
+
+    await new Promise((resolve, reject) => {
+      const next = () => zip.readEntry();
+      zip.on("error", (error) =>
+        reject(error.code === "INVALID_UPLOAD" ? error : invalidArchive(`The archive can't be read (${error.message}).`))
+      );
+      zip.on("end", resolve);
+      zip.on("entry", (entry) => {
+        const name = entry.fileName;
+        if (isJunkEntry(name)) return next();
+        const baseName = path.posix.basename(name);
+        if (isArchive(baseName)) {
+          skipped.push({ name, reason: "Archives inside archives aren't extracted." });
+          return next();
+        }
+        if (!accept(baseName)) {
+          skipped.push({ name, reason: "This file type is not supported." });
+          return next();
+        }
+        if (entry.isEncrypted()) {
+          skipped.push({ name, reason: "This file is encrypted inside the archive." });
+          return next();
+        }
+        if (files.length >= limits.maxEntries) {
+          return reject(invalidArchive(`The archive has too many files (at most ${limits.maxEntries} are allowed).`));
+        }
+        if (entry.uncompressedSize > limits.maxEntryBytes) {
+          skipped.push({ name, reason: "This file is larger than the upload limit." });
+          return next();
+        }
+        if (
+          entry.uncompressedSize > 1024 * 1024 &&
+          entry.uncompressedSize / Math.max(entry.compressedSize, 1) > limits.maxCompressionRatio
+        ) {
+          return reject(invalidArchive("The archive is suspiciously compressed and was not extracted."));
+        }
+        totalBytes += entry.uncompressedSize;
+        if (totalBytes > limits.maxTotalBytes) {
+          return reject(invalidArchive("The archive is too large once extracted."));
+        }
+
+        const filename = nameFor(baseName);
+        const target = path.join(destinationDir, filename);
+        // Record the file first so a failed write is cleaned up with the rest
+        files.push({ path: target, filename, originalname: baseName, entryName: name });
+        openEntryStream(zip, entry)
+          .then((stream) =>
+            pipeline(
+              stream,
+              byteLimit(limits.maxEntryBytes, () => invalidArchive("A file in the archive is larger than it claims.")),
+              fs.createWriteStream(target)
+            )
+          )
+          .then(next, (error) =>
+            reject(error.code === "INVALID_UPLOAD" ? error : invalidArchive(`'${name}' can't be extracted (${error.message}).`))
+          );
+      });
+      next();
+    });
+  } catch (error) {
+    await Promise.all(files.map((file) => fsp.rm(file.path, { force: true })));
+    throw error;
+  } finally {
+    zip.close();
+  }
+
+  return { files, skipped };
+};
+
+module.exports = { LIMITS, extractArchive, isArchive };
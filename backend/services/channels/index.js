@@ -0,0 +1,104 @@
+// backend/services/channels/index.js
+// Messaging channel adapters (WhatsApp, Telegram). Each adapter knows its platform's webhook
+// format and API and exposes the same functions:
+//   name, maxMessageLength
+//   isConfigured()               whether its credentials are set (unconfigured channels are off)
+//   verifySubscription(query)    answer to a GET webhook handshake, or null
+//   verifyRequest(req)           checks a webhook call really comes from the platform
+//   parseUpdates(body)           [{ id, userId, text }] (text is null for non-text messages)
+//   sendText(userId, text)       sends one plain-text message
+// This module turns incoming messages into questions for Rasa and sends the answers back.
+const crypto = require("crypto");
+const analyticsStore = require("../analyticsStore");
+const { MAX_MESSAGE_LENGTH, askRasa, describeAIError } = require("../rasaClient");
+const { createRateCounter } = require("../../middleware/rateLimit");
+const { formatReplies, splitMessage } = require("./plainText");
+
+const adapters = {
+  whatsapp: require("./whatsapp"),
+  telegram: require("./telegram"),
+};
+
+const WELCOME_TEXT = "Hello! I can answer questions from the college's documents. Send me your question.";
+const NOT_TEXT_REPLY = "Sorry, I can only read text messages. Please type your question.";
+const TOO_MANY_REPLY = "You're sending questions too quickly. Please wait a moment.";
+
+// Same per-sender limit as the chat API (see routes/chatRoutes.js)
+const RATE_LIMIT_PER_SENDER = Number(process.env.CHAT_RATE_LIMIT_PER_SENDER) || 10;
+const questionsPerSender = createRateCounter({ windowMs: 60 * 1000, max: RATE_LIMIT_PER_SENDER });
+
+const getAdapter = (name) => (Object.hasOwn(adapters, name) ? adapters[name] : null);
+
+// Platforms redeliver webhooks they think failed; remember recent message ids to skip repeats
+const MAX_REMEMBERED_IDS = 1000;
+const seenMessages = new Set();
+const isRepeat = (adapter, message) => {
+  const key = `${adapter.name}:${message.id}`;
+  if (seenMessages.has(key)) return true;
+  seenMessages.add(key);
+  if (seenMessages.size > MAX_REMEMBERED_IDS) {
+    seenMessages.delete(seenMessages.values().next().value);
+  }
+  return false;
+};
+
+// Rasa sender id: phone numbers and chat ids are not kept in trackers or analytics
+const senderOf = (adapter, userId) =>
+  `${adapter.name}-${crypto.createHash("sha256").update(`${adapter.name}:${userId}`).digest("hex").slice(0, 32)}`;
+
+const sendReply = async (adapter, userId, text) => {
+  for (const part of splitMessage(text, adapter.maxMessageLength)) {
+    await adapter.sendText(userId, part);
+  }
+};
+
+/**
+ * Answers one incoming message on its channel. `baseUrl` is where the document links
+ * in the answer point. Never throws: failures are logged, since the webhook was already
+ * acknowledged.
+ */
+const handleMessage = async (adapter, message, { baseUrl }) => {
+  if (message.id && isRepeat(adapter, message)) return;
+  const sender = senderOf(adapter, message.userId);
+  const text = message.text === null ? null : message.text.trim();
+
+  try {
+    if (text === null) {
+      return await sendReply(adapter, message.userId, NOT_TEXT_REPLY);
+    }
+    // Telegram's "Start" button
+    if (!text || text === "/start") {
+      return await sendReply(adapter, message.userId, WELCOME_TEXT);
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return await sendReply(adapter, message.userId, `Please keep your question under ${MAX_MESSAGE_LENGTH} characters.`);
+    }
+    if (RATE_LIMIT_PER_SENDER > 0) {
+      const { count, retryAfter } = questionsPerSender.hit(sender);
+      if (retryAfter) {
+        // Say so once per window; further questions are dropped without a reply
+        if (count === RATE_LIMIT_PER_SENDER + 1) await sendReply(adapter, message.userId, TOO_MANY_REPLY);
+        return;
+      }
+    }
+
+    const startedAt = Date.now();
+    let reply;
+    try {
+      const response = await askRasa(sender, text);
+      analyticsStore.recordQuery({ sessionId: sender, query: text, latencyMs: Date.now() - startedAt, ...analyticsStore.describeReplies(response.data) })
+        .catch((error) => console.error("⚠️  Could not record analytics event:", error.message));
+      reply = formatReplies(response.data, baseUrl) || "Sorry, I didn't get a specific response.";
+    } catch (aiError) {
+      console.error(`❌ ${adapter.name}: error communicating with the AI service:`, aiError.message);
+      analyticsStore.recordQuery({ sessionId: sender, query: text, latencyMs: Date.now() - startedAt, outcome: "error", fallbackReason: aiError.code || "ai_service_error" })
+        .catch((error) => console.error("⚠️  Could not record analytics event:", error.message));
+      reply = describeAIError(aiError).body.error;
+    }
+    await sendReply(adapter, message.userId, reply);
+  } catch (error) {
+    console.error(`❌ ${adapter.name}: could not send a reply:`, error.message);
+  }
+};
+
+module.exports = { getAdapter, handleMessage };
@@ -0,0 +1,54 @@
+// backend/services/channels/plainText.js
+// Messaging apps show plain text only, so answers and their sources become text with links.
+
+const MAX_SOURCES = 3;
+
+// "1759248623779-exam notice.pdf" -> "exam notice.pdf" (stored names carry an upload timestamp)
+const displayTitle = (title) => String(title || "").replace(/^\d{13}-/, "");
+
+const documentLink = (baseUrl, source) => {
+  const url = `${baseUrl}/api/documents/${encodeURIComponent(source.title)}`;
+  return source.page ? `${url}#page=${source.page}` : url;
+};
+
+const formatSources = (sources, baseUrl) => {
+  const lines = (sources || []).slice(0, MAX_SOURCES).map((source, index) => {
+    const where = source.page ? `, page ${source.page}` : source.section ? `, "${source.section}"` : "";
+    return `${index + 1}. ${displayTitle(source.title)}${where}\n${documentLink(baseUrl, source)}`;
+  });
+  return lines.length > 0 ? `Sources:\n${lines.join("\n")}` : "";
+};
+
+/**
+ * Turns Rasa's replies into the text of one chat message: the answer, then its sources as
+ * a numbered list of links. `custom` is the RAG payload; greetings come as plain `text`.
+ */
+const formatReplies = (rasaMessages, baseUrl) =>
+  (Array.isArray(rasaMessages) ? rasaMessages : [])
+    .map((reply) => {
+      if (!reply.custom) return reply.text || "";
+      return [reply.custom.text, formatSources(reply.custom.sources, baseUrl)].filter(Boolean).join("\n\n");
+    })
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ * Splits text into messages of at most `maxLength` characters, at paragraph, line or word
+ * breaks where possible, so long answers aren't rejected by the messaging app.
+ */
+const splitMessage = (text, maxLength) => {
+  const parts = [];
+  let rest = String(text || "").trim();
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength);
+    const cut = [window.lastIndexOf("\n\n"), window.lastIndexOf("\n"), window.lastIndexOf(" ")]
+      .find((index) => index > maxLength / 2);
+    const end = cut === undefined ? maxLength : cut;
+    parts.push(rest.slice(0, end).trim());
+    rest = rest.slice(end).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+};
+
+module.exports = { formatReplies, splitMessage };
@@ -0,0 +1,56 @@
+// backend/services/channels/telegram.js
+// Telegram Bot API. Set TELEGRAM_API_URL to the mock channel server (tools/mockChannel.js)
+// to try the flow offline.
+const crypto = require("crypto");
+const axios = require("axios");
+
+const settings = () => ({
+  apiUrl: (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, ""),
+  botToken: process.env.TELEGRAM_BOT_TOKEN,
+  // Passed as `secret_token` to setWebhook; Telegram sends it back with every update
+  webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET,
+});
+
+const isConfigured = () => {
+  const { botToken, webhookSecret } = settings();
+  return Boolean(botToken && webhookSecret);
+};
+
+// Telegram has no subscription handshake; webhooks are registered with setWebhook
+const verifySubscription = () => null;
+
+const verifyRequest = (req) => {
+  const received = Buffer.from(req.get("X-Telegram-Bot-Api-Secret-Token") || "");
+  const expected = Buffer.from(settings().webhookSecret);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Telegram sends one update per call; replies go to the chat the message came from
+const parseUpdates = (body) => {
+  const message = body?.message;
+  if (message?.chat?.id == null) return [];
+  return [{
+    id: String(body.update_id),
+    userId: String(message.chat.id),
+    text: typeof message.text === "string" ? message.text : null,
+  }];
+};
+
+const sendText = async (userId, text) => {
+  const { apiUrl, botToken } = settings();
+  await axios.post(`${apiUrl}/bot${botToken}/sendMessage`, {
+    chat_id: userId,
+    text,
+    disable_web_page_preview: true,
+  }, { timeout: 15 * 1000 });
+};
+
+module.exports = {
+  name: "telegram",
+  maxMessageLength: 4096,
+  isConfigured,
+  verifySubscription,
+  verifyRequest,
+  parseUpdates,
+  sendText,
+};
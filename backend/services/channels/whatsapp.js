@@ -0,0 +1,88 @@
+// backend/services/channels/whatsapp.js
+// WhatsApp Business Cloud API. Set WHATSAPP_API_URL to the mock channel server
+// (tools/mockChannel.js) to try the flow offline.
+const crypto = require("crypto");
+const axios = require("axios");
+
+const settings = () => ({
+  apiUrl: (process.env.WHATSAPP_API_URL || "https://graph.facebook.com/v20.0").replace(/\/+$/, ""),
+  accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+  // Chosen by us and entered in the Meta app dashboard with the webhook URL
+  verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+  // Meta signs every webhook call with the app secret
+  appSecret: process.env.WHATSAPP_APP_SECRET,
+});
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const isConfigured = () => {
+  const { accessToken, phoneNumberId, verifyToken, appSecret } = settings();
+  return Boolean(accessToken && phoneNumberId && verifyToken && appSecret);
+};
+
+// The GET handshake Meta makes when the webhook is registered: echo hub.challenge back
+const verifySubscription = (query) => {
+  const { verifyToken } = settings();
+  if (query["hub.mode"] === "subscribe" && safeEqual(query["hub.verify_token"] || "", verifyToken)) {
+    return String(query["hub.challenge"] || "");
+  }
+  return null;
+};
+
+// X-Hub-Signature-256: sha256=<HMAC-SHA256 of the raw body with the app secret>
+const verifyRequest = (req) => {
+  const signature = req.get("X-Hub-Signature-256") || "";
+  if (!req.rawBody || !signature.startsWith("sha256=")) return false;
+  const expected = crypto.createHmac("sha256", settings().appSecret).update(req.rawBody).digest("hex");
+  return safeEqual(signature.slice("sha256=".length), expected);
+};
+
+// Messages in a webhook call ({ id, userId, text }; text is null for images, voice notes,
+// documents and other messages a student sent that aren't text). The same webhook also gets
+// delivery and read receipts (`statuses`, not `messages`), reactions and system notices;
+// those are skipped, as is anything not shaped as expected, so an odd payload is never
+// answered with an error (Meta would keep redelivering it).
+const SKIPPED_TYPES = ["reaction", "system"];
+
+const arrayOf = (value) => (Array.isArray(value) ? value : []);
+
+const parseUpdates = (body) =>
+  arrayOf(body?.entry)
+    .flatMap((entry) => arrayOf(entry?.changes))
+    .flatMap((change) => arrayOf(change?.value?.messages))
+    .filter((message) =>
+      message?.id && message.from &&
+      typeof message.type === "string" && !SKIPPED_TYPES.includes(message.type))
+    .map((message) => ({
+      id: String(message.id),
+      userId: String(message.from),
+      text: message.type === "text" && typeof message.text?.body === "string" ? message.text.body : null,
+    }));
+
+const sendText = async (userId, text) => {
+  const { apiUrl, accessToken, phoneNumberId } = settings();
+  await axios.post(`${apiUrl}/${phoneNumberId}/messages`, {
+    messaging_product: "whatsapp",
+    to: userId,
+    type: "text",
+    text: { body: text, preview_url: false },
+  }, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 15 * 1000,
+  });
+};
+
+module.exports = {
+  name: "whatsapp",
+  maxMessageLength: 4096,
+  isConfigured,
+  verifySubscription,
+  verifyRequest,
+  parseUpdates,
+  sendText,
+};
@@ -0,0 +1,78 @@
+// backend/services/concurrencyLimiter.js
+
+/**
+ * Lets at most `maxConcurrent` tasks run at once; up to `maxQueued` more wait their turn
+ * (for at most `queueTimeoutMs`). Beyond that, `run` fails fast with error.code "BUSY".
+ */
+const createConcurrencyLimiter = ({ maxConcurrent, maxQueued, queueTimeoutMs }) => {
+  let running = 0;
+  const waiting = [];
+
+  const busyError = (message) => Object.assign(new Error(message), { code: "BUSY" });
+
+  const startNext = () => {
+    while (running < maxConcurrent && waiting.length > 0) {
+      waiting.shift().start();
+    }
+  };
+
+  const acquire = ({ signal, onQueued } = {}) => {
+    if (running < maxConcurrent) {
+      running += 1;
+      return Promise.resolve();
+    }
+    if (signal?.aborted) {
+      return Promise.reject(Object.assign(new Error("Request was cancelled."), { code: "ABORTED" }));
+    }
+    if (waiting.length >= maxQueued) {
+      return Promise.reject(busyError("Too many questions are being answered right now."));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {};
+      const leave = () => {
+        const index = waiting.indexOf(entry);
+        if (index !== -1) waiting.splice(index, 1);
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      };
+      const onAbort = () => {
+        leave();
+        reject(Object.assign(new Error("Request was cancelled while queued."), { code: "ABORTED" }));
+      };
+      const timer = setTimeout(() => {
+        leave();
+        reject(busyError("Waited too long for a free slot."));
+      }, queueTimeoutMs);
+
+      entry.start = () => {
+        leave();
+        running += 1;
+        resolve();
+      };
+      waiting.push(entry);
+      signal?.addEventListener("abort", onAbort);
+      if (onQueued) onQueued(waiting.length);
+    });
+  };
+
+  /**
+   * Runs `task()` once a slot is free. `signal` removes a queued task (e.g. the client
+   * left); `onQueued(position)` is called if the task has to wait.
+   */
+  const run = async (task, options) => {
+    await acquire(options);
+    try {
+      return await task();
+    } finally {
+      running -= 1;
+      startNext();
+    }
+  };
+
+  const stats = () => ({ running, queued: waiting.length, maxConcurrent, maxQueued });
+
+  return { run, stats };
+};
+
+module.exports = { createConcurrencyLimiter };
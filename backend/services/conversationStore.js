@@ -0,0 +1,89 @@
+// backend/services/conversationStore.js
+const fsp = require("fs/promises");
+const path = require("path");
+const Conversation = require("../models/Conversation");
+const { isDBConnected } = require("../config/db");
+
+// Transcripts go to MongoDB when it's connected, otherwise to one JSON file per session
+const conversationsDir = path.resolve(__dirname, "..", "data", "conversations");
+
+// Session ids come from the browser, so keep them to a filename-safe alphabet
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const isValidSessionId = (sessionId) => SESSION_ID_PATTERN.test(String(sessionId || ""));
+
+const sessionFile = (sessionId) => path.join(conversationsDir, `${sessionId}.json`);
+
+// Serialize file writes per session so back-to-back appends don't lose messages
+const fileWriteChains = new Map();
+
+const readFileTranscript = async (sessionId) => {
+  try {
+    return JSON.parse(await fsp.readFile(sessionFile(sessionId), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Could not read transcript for session ${sessionId}:`, error.message);
+    }
+    return null;
+  }
+};
+
+const appendToFile = (sessionId, messages) => {
+  const previous = fileWriteChains.get(sessionId) || Promise.resolve();
+  const run = previous.then(async () => {
+    await fsp.mkdir(conversationsDir, { recursive: true });
+    const now = new Date().toISOString();
+    const transcript = (await readFileTranscript(sessionId)) || { sessionId, messages: [], createdAt: now };
+    transcript.messages.push(...messages);
+    transcript.updatedAt = now;
+    await fsp.writeFile(sessionFile(sessionId), JSON.stringify(transcript, null, 2));
+  });
+  const settled = run.catch(() => {});
+  fileWriteChains.set(sessionId, settled);
+  // Forget the chain once it's idle so the map doesn't grow with every session
+  settled.then(() => {
+    if (fileWriteChains.get(sessionId) === settled) fileWriteChains.delete(sessionId);
+  });
+  return run;
+};
+
+const toStoredMessage = ({ sender, text, sources }) => ({
+  sender,
+  text: text || "",
+  sources: Array.isArray(sources) ? sources : [],
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * Appends messages ({ sender, text, sources }) to a session's transcript.
+ */
+const appendMessages = async (sessionId, messages) => {
+  if (!isValidSessionId(sessionId) || messages.length === 0) return;
+  const stored = messages.map(toStoredMessage);
+
+  if (isDBConnected()) {
+    await Conversation.updateOne(
+      { sessionId },
+      { $push: { messages: { $each: stored } } },
+      { upsert: true }
+    );
+    return;
+  }
+  await appendToFile(sessionId, stored);
+};
+
+/**
+ * Returns { sessionId, messages, createdAt, updatedAt } or null if the session has no history.
+ */
+const getTranscript = async (sessionId) => {
+  if (!isValidSessionId(sessionId)) return null;
+
+  if (isDBConnected()) {
+    const conversation = await Conversation.findOne({ sessionId }).lean();
+    if (!conversation) return null;
+    const { messages, createdAt, updatedAt } = conversation;
+    return { sessionId, messages, createdAt, updatedAt };
+  }
+  return readFileTranscript(sessionId);
+};
+
+module.exports = { isValidSessionId, appendMessages, getTranscript };
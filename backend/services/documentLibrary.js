@@ -0,0 +1,449 @@
+// backend/services/documentLibrary.js
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { PDFDocument } = require("pdf-lib");
+
+// Build absolute paths for the knowledge base folders
+const documentsDir = path.resolve(__dirname, "..", "..", "ai-service", "documents");
+const pdfsDir = path.join(documentsDir, "pdfs");
+// Uploads wait here, out of the public /api/documents folder, until rag_pipeline.py has
+// extracted text from them and moved them into pdfs
+const stagingDir = path.join(documentsDir, "staging");
+// Metadata the filesystem can't hold (original name, page count) lives next to the pdfs folder
+const libraryFile = path.join(documentsDir, "library.json");
+// Written by rag_pipeline.py: files whose text couldn't be extracted, and why
+const extractionReportFile = path.join(documentsDir, "extraction_report.json");
+// Written by rag_pipeline.py (what was built) and the action server (what it answers from)
+const vectorStoreDir = path.join(documentsDir, "vectorstore");
+const indexManifestFile = path.join(vectorStoreDir, "manifest.json");
+const activeIndexFile = path.join(documentsDir, "active_index.json");
+
+// Ensure directories exist
+for (const dir of [pdfsDir, stagingDir]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    console.log("Created documents directory at:", dir);
+  }
+}
+
+// Formats rag_pipeline.py knows how to load (see ai-service/document_loaders.py)
+const SUPPORTED_EXTENSIONS = [".pdf", ".docx", ".txt", ".md", ".markdown", ".html", ".htm"];
+
+const extensionOf = (name) => path.extname(name || "").toLowerCase();
+const isSupportedFile = (name) => SUPPORTED_EXTENSIONS.includes(extensionOf(name));
+
+// Documents without a collection (e.g. copied in by hand) belong to this one
+const DEFAULT_COLLECTION = "General";
+const MAX_COLLECTION_NAME_LENGTH = 60;
+
+/**
+ * Folder-safe id of a collection name ("Hostel Rules" -> "hostel-rules"). rag_pipeline.py
+ * derives the same id to name each collection's index, and chat requests filter by it.
+ */
+const collectionId = (name) =>
+  String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "general";
+
+// Trims an admin-entered collection name; blank means the default collection
+const normalizeCollectionName = (name) => {
+  const trimmed = String(name || "").trim().replace(/\s+/g, " ");
+  if (!trimmed) return DEFAULT_COLLECTION;
+  if (trimmed.length > MAX_COLLECTION_NAME_LENGTH) {
+    throw new Error(`Collection names can be at most ${MAX_COLLECTION_NAME_LENGTH} characters long.`);
+  }
+  if (!/[a-z0-9]/i.test(trimmed)) {
+    throw new Error("Collection names need at least one letter or digit.");
+  }
+  return trimmed;
+};
+
+// Uploads are stored as `<timestamp>-<name>`; strip that prefix to recover the original name
+const TIMESTAMP_PREFIX = /^\d{13}-/;
+
+// Serialize writes to library.json so concurrent uploads don't clobber each other
+let writeChain = Promise.resolve();
+
+const readLibrary = async () => {
+  try {
+    const raw = await fsp.readFile(libraryFile, "utf8");
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Could not read document library metadata:", error.message);
+    }
+    return {};
+  }
+};
+
+const readJsonFile = async (filePath) => {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+};
+
+const updateLibrary = (mutator) => {
+  const run = writeChain.then(async () => {
+    const library = await readLibrary();
+    const result = await mutator(library);
+    await fsp.writeFile(libraryFile, JSON.stringify(library, null, 2));
+    return result;
+  });
+  // Keep the chain alive even if this update fails
+  writeChain = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Resolves a stored filename to its absolute path inside the pdfs (or staging) folder.
+ * Returns null for anything that isn't a plain filename (e.g. "../server.js").
+ */
+const resolveStoredPath = (storedName, dir = pdfsDir) => {
+  if (!storedName || path.basename(storedName) !== storedName) {
+    return null;
+  }
+  return path.join(dir, storedName);
+};
+
+/**
+ * Where a document's files are: `live` is the copy in pdfs (served and indexed), `staged`
+ * an upload still waiting for text extraction (a new document, or a replacement).
+ * `filePath` is the newest copy. Returns null if the document has neither.
+ */
+const locateDocument = (storedName) => {
+  const livePath = resolveStoredPath(storedName);
+  const stagedPath = resolveStoredPath(storedName, stagingDir);
+  if (!livePath) return null;
+  const live = fs.existsSync(livePath);
+  const staged = fs.existsSync(stagedPath);
+  if (!live && !staged) return null;
+  return { live, staged, filePath: staged ? stagedPath : livePath };
+};
+
+// Only PDFs have pages; other formats are cited by section instead
+const countPages = async (filePath) => {
+  if (extensionOf(filePath) !== ".pdf") {
+    return null;
+  }
+  try {
+    const bytes = await fsp.readFile(filePath);
+    const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    return pdf.getPageCount();
+  } catch (error) {
+    console.error(`Could not count pages of ${path.basename(filePath)}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * SHA-256 of a file's bytes, used to spot the same document uploaded under different names.
+ */
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+/**
+ * Extraction problems reported by rag_pipeline.py, keyed by stored name:
+ * { "<name>": { "sha256", "error", "stage": "staging" | "indexing", "checked_at" } }
+ */
+const readExtractionReport = async () => (await readJsonFile(extractionReportFile)) || {};
+
+// "pending" until the pipeline has looked at a staged upload, then "ready" or "failed"
+const describeStatus = (entry, location, problem) => {
+  // A report about an older version of the file no longer applies
+  const error = problem && problem.sha256 === entry.sha256 ? problem.error || "Text extraction failed." : null;
+  if (error) return { status: "failed", error };
+  return { status: location.staged ? "pending" : "ready", error: null };
+};
+
+const toListing = (storedName, stats, entry = {}, location = { live: true, staged: false }, problem = null) => ({
+  originalName: entry.originalName || storedName.replace(TIMESTAMP_PREFIX, ""),
+  storedName,
+  size: stats.size,
+  uploadedAt: entry.uploadedAt || stats.mtime.toISOString(),
+  pages: entry.pages ?? null,
+  sha256: entry.sha256 || null,
+  collection: entry.collection || DEFAULT_COLLECTION,
+  collectionId: collectionId(entry.collection || DEFAULT_COLLECTION),
+  ...describeStatus(entry, location, problem),
+  // Whether a copy is in the public library (for a failed replacement, the previous version)
+  live: location.live,
+});
+
+/**
+ * Lists every document in the library. Files that were copied in by hand (or uploaded
+ * before metadata was tracked) get their page count and hash computed once and saved.
+ */
+const listDocuments = async () => {
+  const library = await readLibrary();
+  const liveFiles = (await fsp.readdir(pdfsDir)).filter(isSupportedFile);
+  // A staged file without metadata is an upload that is still being checked
+  const stagedFiles = (await fsp.readdir(stagingDir)).filter((name) => isSupportedFile(name) && library[name]);
+  const files = [...new Set([...liveFiles, ...stagedFiles])];
+  const report = await readExtractionReport();
+
+  const documents = [];
+  const missing = {};
+  for (const storedName of files) {
+    const location = {
+      live: liveFiles.includes(storedName),
+      staged: stagedFiles.includes(storedName),
+    };
+    const filePath = path.join(location.staged ? stagingDir : pdfsDir, storedName);
+    let stats;
+    try {
+      stats = await fsp.stat(filePath);
+    } catch (error) {
+      // Moved (staging -> pdfs) or deleted since the folders were read; the next listing has it
+      if (error.code === "ENOENT") continue;
+      throw error;
+    }
+    const entry = library[storedName];
+    if (!entry || entry.pages === undefined || !entry.sha256) {
+      missing[storedName] = {
+        ...entry,
+        uploadedAt: entry?.uploadedAt || stats.mtime.toISOString(),
+        pages: entry?.pages !== undefined ? entry.pages : await countPages(filePath),
+        sha256: entry?.sha256 || (await hashFile(filePath)),
+      };
+    }
+    documents.push(toListing(storedName, stats, missing[storedName] || entry, location, report[storedName]));
+  }
+
+  const stale = Object.keys(library).some((name) => !files.includes(name));
+  if (Object.keys(missing).length > 0 || stale) {
+    await updateLibrary((lib) => {
+      // Metadata recorded since the library was read wins over what was computed here
+      for (const [name, entry] of Object.entries(missing)) {
+        if (locateDocument(name)) lib[name] = { ...entry, ...lib[name] };
+      }
+      // Drop metadata for files that were removed from disk by hand. The folders are checked
+      // again here: uploads recorded and files moved out of staging since they were read
+      // must keep theirs.
+      for (const name of Object.keys(lib)) {
+        if (!files.includes(name) && !locateDocument(name)) delete lib[name];
+      }
+    });
+  }
+
+  return documents.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+};
+
+const getDocument = async (storedName) => {
+  const location = locateDocument(storedName);
+  if (!location) {
+    return null;
+  }
+  const stats = await fsp.stat(location.filePath);
+  const library = await readLibrary();
+  const report = await readExtractionReport();
+  return toListing(storedName, stats, library[storedName], location, report[storedName]);
+};
+
+/**
+ * Hashes a freshly uploaded file and looks for a library document with the same bytes.
+ * `ignoreName` skips one stored file (the upload itself, or the document being replaced).
+ * Only the hashes in library.json are compared; files copied in by hand get theirs the
+ * first time the library is listed.
+ */
+const findDuplicate = async (file, ignoreName) => {
+  const sha256 = await hashFile(file.path);
+  const library = await readLibrary();
+  for (const [storedName, entry] of Object.entries(library)) {
+    if (entry?.sha256 !== sha256 || storedName === file.filename || storedName === ignoreName) continue;
+    // Metadata can outlive its file until the next listing drops it
+    const duplicate = await getDocument(storedName).catch(() => null);
+    if (duplicate) return { sha256, duplicate };
+  }
+  return { sha256, duplicate: null };
+};
+
+/**
+ * Records metadata for a validated file multer has just written into the staging folder.
+ * `originalName` is the cleaned display name.
+ */
+const recordUpload = async (file, { sha256, collection = DEFAULT_COLLECTION, originalName }) => {
+  const pages = await countPages(file.path);
+  return updateLibrary((library) => {
+    library[file.filename] = {
+      originalName: originalName || file.originalname,
+      uploadedAt: new Date().toISOString(),
+      pages,
+      sha256: sha256 || null,
+      collection,
+    };
+  });
+};
+
+/**
+ * Stages a newly uploaded file as the next version of an existing document, keeping its
+ * stored name so citations in the vector store stay valid. The current copy stays live
+ * until rag_pipeline.py has extracted text from the new one.
+ */
+const replaceDocument = async (storedName, file, { sha256, originalName }) => {
+  const targetPath = resolveStoredPath(storedName, stagingDir);
+  await fsp.rename(file.path, targetPath);
+  const pages = await countPages(targetPath);
+  await updateLibrary((library) => {
+    library[storedName] = {
+      ...library[storedName],
+      originalName: originalName || file.originalname,
+      uploadedAt: new Date().toISOString(),
+      pages,
+      sha256: sha256 || null,
+    };
+  });
+  return getDocument(storedName);
+};
+
+/**
+ * Changes the display name of a document. The stored file is left untouched.
+ */
+const renameDocument = async (storedName, originalName) => {
+  await updateLibrary((library) => {
+    library[storedName] = { ...library[storedName], originalName };
+  });
+  return getDocument(storedName);
+};
+
+/**
+ * Moves a document to another collection. Its vectors move at the next index update.
+ */
+const setDocumentCollection = async (storedName, collection) => {
+  await updateLibrary((library) => {
+    library[storedName] = { ...library[storedName], collection };
+  });
+  return getDocument(storedName);
+};
+
+/**
+ * The collections that have documents, with how many each holds, sorted by name.
+ * Ids are what `/api/chat` accepts as its collection filter.
+ */
+const listCollections = async () => {
+  const counts = new Map();
+  for (const doc of await listDocuments()) {
+    const current = counts.get(doc.collectionId) || { id: doc.collectionId, name: doc.collection, documents: 0 };
+    current.documents += 1;
+    counts.set(doc.collectionId, current);
+  }
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const removeDocument = async (storedName) => {
+  await fsp.rm(resolveStoredPath(storedName), { force: true });
+  await fsp.rm(resolveStoredPath(storedName, stagingDir), { force: true });
+  await updateLibrary((library) => {
+    delete library[storedName];
+  });
+};
+
+/**
+ * Finds documents with identical bytes and keeps one copy of each. The copy kept is
+ * the earliest upload, preferring a stored name without a timestamp prefix on ties.
+ * With `dryRun` nothing is deleted; the plan is only reported.
+ */
+const dedupeDocuments = async ({ dryRun = false } = {}) => {
+  const documents = await listDocuments();
+  const byHash = new Map();
+  for (const doc of documents) {
+    if (!doc.sha256) continue;
+    if (!byHash.has(doc.sha256)) byHash.set(doc.sha256, []);
+    byHash.get(doc.sha256).push(doc);
+  }
+
+  const groups = [];
+  for (const copies of byHash.values()) {
+    if (copies.length < 2) continue;
+    copies.sort(
+      (a, b) =>
+        new Date(a.uploadedAt) - new Date(b.uploadedAt) ||
+        TIMESTAMP_PREFIX.test(a.storedName) - TIMESTAMP_PREFIX.test(b.storedName) ||
+        a.storedName.localeCompare(b.storedName)
+    );
+    const [kept, ...removed] = copies;
+    groups.push({ kept: kept.storedName, removed: removed.map((doc) => doc.storedName) });
+  }
+
+  if (!dryRun) {
+    for (const group of groups) {
+      for (const storedName of group.removed) {
+        await removeDocument(storedName);
+      }
+    }
+  }
+
+  return {
+    groups,
+    removedCount: groups.reduce((total, group) => total + group.removed.length, 0),
+  };
+};
+
+/**
+ * Reports the newest vector store on disk and the one the action server has loaded.
+ * They differ for a few seconds after an index update, until the action server reloads.
+ * `exists` is false when there is no FAISS index at all (stores built before manifests
+ * were written exist but have no `built` details).
+ */
+const getIndexStatus = async () => {
+  const manifest = await readJsonFile(indexManifestFile);
+  const active = await readJsonFile(activeIndexFile);
+  // One index per collection in vectorstore/<id>/; older stores have a single index
+  const collections = Object.entries(manifest?.collections || {}).map(([id, collection]) => {
+    const files = Object.values(collection.files || {});
+    return {
+      id,
+      name: collection.name || id,
+      documents: files.length,
+      chunks: files.reduce((total, entry) => total + (entry.chunk_ids || []).length, 0),
+    };
+  });
+  const legacyFiles = Object.values(manifest?.files || {});
+  const total = (key, legacyValue) =>
+    manifest?.collections ? collections.reduce((sum, collection) => sum + collection[key], 0) : legacyValue;
+  return {
+    exists: manifest?.collections
+      ? collections.some((collection) => fs.existsSync(path.join(vectorStoreDir, collection.id, "index.faiss")))
+      : fs.existsSync(path.join(vectorStoreDir, "index.faiss")),
+    built: manifest
+      ? {
+          version: manifest.version || null,
+          builtAt: manifest.built_at || null,
+          documents: total("documents", legacyFiles.length),
+          chunks: total("chunks", legacyFiles.reduce((sum, entry) => sum + (entry.chunk_ids || []).length, 0)),
+          collections,
+        }
+      : null,
+    active: active ? { version: active.version, loadedAt: active.loaded_at || null } : null,
+  };
+};
+
+module.exports = {
+  pdfsDir,
+  stagingDir,
+  SUPPORTED_EXTENSIONS,
+  DEFAULT_COLLECTION,
+  collectionId,
+  normalizeCollectionName,
+  extensionOf,
+  isSupportedFile,
+  resolveStoredPath,
+  listDocuments,
+  getDocument,
+  recordUpload,
+  replaceDocument,
+  renameDocument,
+  setDocumentCollection,
+  listCollections,
+  removeDocument,
+  findDuplicate,
+  dedupeDocuments,
+  getIndexStatus,
+};
@@ -0,0 +1,44 @@
+// backend/services/embedOrigins.js
+const fsp = require("fs/promises");
+const path = require("path");
+
+// Websites allowed to call the API from the browser (the chat widget), each with the
+// collections its visitors may search:
+//   { "origins": { "https://www.college.edu": { "collections": ["admissions", "general"] },
+//                  "https://lms.college.edu": { "collections": "*" } } }
+const ORIGINS_FILE = process.env.EMBED_ORIGINS_FILE || path.resolve(__dirname, "..", "config", "embedOrigins.json");
+
+// "https://Example.edu/" and "https://example.edu" are the same origin
+const normalizeOrigin = (origin) => String(origin || "").trim().toLowerCase().replace(/\/+$/, "");
+
+const readOrigins = async () => {
+  try {
+    const config = JSON.parse(await fsp.readFile(ORIGINS_FILE, "utf8"));
+    const origins = {};
+    for (const [origin, policy] of Object.entries(config.origins || {})) {
+      const collections = policy?.collections;
+      origins[normalizeOrigin(origin)] = {
+        // No list (or "*") means every collection
+        collections: Array.isArray(collections) && collections.length > 0 ? collections.map(String) : "*",
+      };
+    }
+    return origins;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Could not load embed origins from ${ORIGINS_FILE}:`, error.message);
+    }
+    // Without a readable list, no other website may call the API
+    return {};
+  }
+};
+
+/**
+ * The policy for a browser origin ({ collections: "*" | [ids] }), or null when that
+ * origin may not call the API. Read on every call so edits apply without a restart.
+ */
+const getOriginPolicy = async (origin) => (await readOrigins())[normalizeOrigin(origin)] || null;
+
+// Requests from the backend's own pages (or the frontend's dev proxy) need no policy
+const isSameOrigin = (req, origin) => normalizeOrigin(origin) === normalizeOrigin(`${req.protocol}://${req.get("host")}`);
+
+module.exports = { getOriginPolicy, isSameOrigin };
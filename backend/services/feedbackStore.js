@@ -0,0 +1,132 @@
+// backend/services/feedbackStore.js
+const crypto = require("crypto");
+const fsp = require("fs/promises");
+const path = require("path");
+const Feedback = require("../models/Feedback");
+const { isDBConnected } = require("../config/db");
+
+// Feedback goes to MongoDB when it's connected, otherwise to a single JSON file
+const feedbackFile = path.resolve(__dirname, "..", "data", "feedback.json");
+
+const RATINGS = ["up", "down"];
+const MAX_COMMENT_LENGTH = 1000;
+// The rated answer is stored for review; longer ones are cut off
+const MAX_ANSWER_LENGTH = 10000;
+
+// Serialize writes to the file so concurrent votes don't clobber each other
+let writeChain = Promise.resolve();
+
+const readFeedbackFile = async () => {
+  try {
+    return JSON.parse(await fsp.readFile(feedbackFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Could not read feedback file:", error.message);
+    }
+    return [];
+  }
+};
+
+const updateFeedbackFile = (mutator) => {
+  const run = writeChain.then(async () => {
+    const entries = await readFeedbackFile();
+    const result = mutator(entries);
+    await fsp.mkdir(path.dirname(feedbackFile), { recursive: true });
+    await fsp.writeFile(feedbackFile, JSON.stringify(entries, null, 2));
+    return result;
+  });
+  writeChain = run.catch(() => {});
+  return run;
+};
+
+// Keep what the review page needs from each citation; snippets are already in the transcript
+const toStoredSources = (sources) =>
+  (Array.isArray(sources) ? sources : []).slice(0, 10).map((source) => ({
+    title: String(source?.title || ""),
+    page: source?.page ?? null,
+    section: source?.section ?? null,
+    score: typeof source?.score === "number" ? source.score : null,
+  }));
+
+const EMPTY_FEEDBACK = { comment: "", query: "", answer: "", language: null, sources: [], documents: [] };
+
+const toPublic = (entry) => {
+  const { _id, __v, ...rest } = entry;
+  return { id: String(entry.id || _id), ...rest };
+};
+
+/**
+ * Records a rating of a bot answer. Passing the `id` of earlier feedback from the same
+ * session updates it instead (changing the vote or adding a comment).
+ * Returns the stored feedback, or null if `id` doesn't belong to the session.
+ */
+const saveFeedback = async ({ id, sessionId, rating, comment, query, answer, language, sources }) => {
+  const fields = { rating };
+  // On updates, fields that weren't sent keep their stored values
+  if (comment !== undefined) fields.comment = String(comment || "").slice(0, MAX_COMMENT_LENGTH);
+  if (query !== undefined) fields.query = String(query || "");
+  if (answer !== undefined) fields.answer = String(answer || "").slice(0, MAX_ANSWER_LENGTH);
+  if (language !== undefined) fields.language = language || null;
+  if (sources !== undefined) {
+    fields.sources = toStoredSources(sources);
+    fields.documents = [...new Set(fields.sources.map((source) => source.title).filter(Boolean))];
+  }
+
+  if (isDBConnected()) {
+    if (id) {
+      if (!/^[a-f0-9]{24}$/i.test(id)) return null;
+      const updated = await Feedback.findOneAndUpdate({ _id: id, sessionId }, fields, { new: true }).lean();
+      return updated ? toPublic(updated) : null;
+    }
+    const created = await Feedback.create({ sessionId, ...EMPTY_FEEDBACK, ...fields });
+    return toPublic(created.toObject());
+  }
+
+  return updateFeedbackFile((entries) => {
+    const now = new Date().toISOString();
+    if (id) {
+      const entry = entries.find((item) => item.id === id && item.sessionId === sessionId);
+      if (!entry) return null;
+      Object.assign(entry, fields, { updatedAt: now });
+      return toPublic(entry);
+    }
+    const entry = { id: crypto.randomUUID(), sessionId, ...EMPTY_FEEDBACK, ...fields, createdAt: now, updatedAt: now };
+    entries.push(entry);
+    return toPublic(entry);
+  });
+};
+
+/**
+ * Lists feedback, newest first, with optional `rating`, cited `document` and
+ * `from`/`to` (Date) filters. Also returns every document that has matching-rated feedback,
+ * for the filter dropdown.
+ */
+const listFeedback = async ({ rating, document, from, to, limit = 200 } = {}) => {
+  if (isDBConnected()) {
+    const query = {};
+    if (rating) query.rating = rating;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+    const [feedback, documents] = await Promise.all([
+      Feedback.find(document ? { ...query, documents: document } : query).sort({ createdAt: -1 }).limit(limit).lean(),
+      Feedback.distinct("documents", rating ? { rating } : {}),
+    ]);
+    return { feedback: feedback.map(toPublic), documents: documents.sort() };
+  }
+
+  const entries = (await readFeedbackFile()).filter((entry) => !rating || entry.rating === rating);
+  const documents = [...new Set(entries.flatMap((entry) => entry.documents || []))].sort();
+  const feedback = entries
+    .filter((entry) => !document || (entry.documents || []).includes(document))
+    .filter((entry) => !from || new Date(entry.createdAt) >= from)
+    .filter((entry) => !to || new Date(entry.createdAt) <= to)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit)
+    .map(toPublic);
+  return { feedback, documents };
+};
+
+module.exports = { RATINGS, MAX_COMMENT_LENGTH, saveFeedback, listFeedback };
@@ -0,0 +1,78 @@
+// backend/services/healthCheck.js
+const axios = require("axios");
+const documentLibrary = require("./documentLibrary");
+const { ADMIN_SERVER_URL } = require("./aiAdminClient");
+const { isDBConnected } = require("../config/db");
+
+const RASA_WEBHOOK_URL = process.env.RASA_URL || "http://localhost:5005/webhooks/rest/webhook";
+// The REST channel answers GET /webhooks/rest/ with {"status": "ok"}
+const RASA_HEALTH_URL = RASA_WEBHOOK_URL.replace(/webhook\/?$/, "");
+const ACTIONS_HEALTH_URL = `${new URL(process.env.ACTIONS_URL || "http://localhost:5055").origin}/health`;
+const ADMIN_HEALTH_URL = `${ADMIN_SERVER_URL}/health`;
+
+const PROBE_TIMEOUT_MS = 3000;
+// Several open tabs poll this; don't probe every service for each of them
+const CACHE_MS = 5000;
+
+let cached = null;
+
+// `failedStatus` is "degraded" for components the chatbot can run without
+const timed = async (probe, { failedStatus = "down" } = {}) => {
+  const startedAt = Date.now();
+  try {
+    const details = await probe();
+    return { status: "ok", latencyMs: Date.now() - startedAt, ...details };
+  } catch (error) {
+    const reason = error.code === "ECONNREFUSED" ? "Not running (connection refused)" : error.message;
+    return { status: failedStatus, latencyMs: Date.now() - startedAt, error: reason };
+  }
+};
+
+const probeUrl = (url) => async () => {
+  await axios.get(url, { timeout: PROBE_TIMEOUT_MS });
+  return { url };
+};
+
+const probeVectorStore = async () => {
+  const { exists, built, active } = await documentLibrary.getIndexStatus();
+  if (!exists) {
+    throw new Error("No vector store built yet. Upload documents and run an index update.");
+  }
+  return { version: built?.version || null, activeVersion: active?.version || null };
+};
+
+const probeDatabase = async () => {
+  if (!isDBConnected()) {
+    throw new Error("MongoDB is not connected: history, feedback and analytics are kept in files, and admin login is unavailable.");
+  }
+  return {};
+};
+
+/**
+ * Probes every service the chatbot depends on, in parallel.
+ * Returns { status: "ok" | "degraded" | "unhealthy", checkedAt, components: { <name>: { status, latencyMs, ... } } }.
+ * Components are "ok", "down" or, when the chatbot falls back without them (MongoDB),
+ * "degraded"; the overall status is the worst of them.
+ */
+const checkHealth = async () => {
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.report;
+
+  const [rasa, actions, adminServer, vectorStore, database] = await Promise.all([
+    timed(probeUrl(RASA_HEALTH_URL)),
+    timed(probeUrl(ACTIONS_HEALTH_URL)),
+    timed(probeUrl(ADMIN_HEALTH_URL)),
+    timed(probeVectorStore),
+    timed(probeDatabase, { failedStatus: "degraded" }),
+  ]);
+  const components = { rasa, actions, adminServer, vectorStore, database };
+  const statuses = Object.values(components).map((component) => component.status);
+  const report = {
+    status: statuses.includes("down") ? "unhealthy" : statuses.includes("degraded") ? "degraded" : "ok",
+    checkedAt: new Date().toISOString(),
+    components,
+  };
+  cached = { at: Date.now(), report };
+  return report;
+};
+
+module.exports = { checkHealth };
@@ -0,0 +1,230 @@
+// backend/services/jobQueue.js
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+// Job metadata (<id>.json) and output (<id>.log) survive backend restarts
+const jobsDir = path.resolve(__dirname, "..", "data", "jobs");
+fs.mkdirSync(jobsDir, { recursive: true });
+
+const STATUSES = ["queued", "running", "succeeded", "failed", "cancelled"];
+const ACTIVE_STATUSES = ["queued", "running"];
+
+// How many finished jobs to keep on disk
+const MAX_FINISHED_JOBS = 50;
+
+const runners = new Map(); // type -> async ({ job, log, signal }) => exitCode
+const jobs = new Map(); // id -> job record
+const pending = []; // ids waiting to run, oldest first
+let current = null; // { id, controller } of the running job
+
+const metaFile = (id) => path.join(jobsDir, `${id}.json`);
+const logFile = (id) => path.join(jobsDir, `${id}.log`);
+
+const saveJob = (job) => fsp.writeFile(metaFile(job.id), JSON.stringify(job, null, 2));
+
+const appendLog = (id, text) => {
+  try {
+    fs.appendFileSync(logFile(id), text);
+  } catch (error) {
+    console.error(`Could not write log for job ${id}:`, error.message);
+  }
+};
+
+// Load previous jobs. Anything that was queued or running died with the old process.
+const loadJobs = () => {
+  for (const name of fs.readdirSync(jobsDir).filter((file) => file.endsWith(".json"))) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(jobsDir, name), "utf8"));
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        job.status = "failed";
+        job.error = "Interrupted by a backend restart.";
+        job.finishedAt = new Date().toISOString();
+        appendLog(job.id, "\n--- Job interrupted by a backend restart ---\n");
+        fs.writeFileSync(metaFile(job.id), JSON.stringify(job, null, 2));
+      }
+      jobs.set(job.id, job);
+    } catch (error) {
+      console.error(`Skipping unreadable job file ${name}:`, error.message);
+    }
+  }
+};
+
+const pruneFinishedJobs = async () => {
+  const finished = [...jobs.values()]
+    .filter((job) => !ACTIVE_STATUSES.includes(job.status))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+    jobs.delete(job.id);
+    await fsp.rm(metaFile(job.id), { force: true });
+    await fsp.rm(logFile(job.id), { force: true });
+  }
+};
+
+const finishJob = async (job, status, fields = {}) => {
+  Object.assign(job, { status, finishedAt: new Date().toISOString() }, fields);
+  await saveJob(job);
+  console.log(`Job ${job.id} (${job.type}) ${status}.`);
+};
+
+const runNext = async () => {
+  if (current || pending.length === 0) return;
+
+  const job = jobs.get(pending.shift());
+  const controller = new AbortController();
+  current = { id: job.id, controller };
+
+  let outcome;
+  try {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    await saveJob(job);
+    appendLog(job.id, `--- Job ${job.id} (${job.type}) started at ${job.startedAt} ---\n`);
+
+    const exitCode = await runners.get(job.type)({
+      job,
+      log: (text) => appendLog(job.id, text),
+      signal: controller.signal,
+    });
+    if (controller.signal.aborted) {
+      outcome = ["cancelled", { exitCode }];
+    } else if (exitCode === 0) {
+      outcome = ["succeeded", { exitCode }];
+    } else {
+      outcome = ["failed", {
+        exitCode,
+        error: exitCode === null ? "The process ended without reporting an exit code." : `Exited with code ${exitCode}.`,
+      }];
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      outcome = ["cancelled"];
+    } else {
+      appendLog(job.id, `\n❌ ERROR: ${error.message}\n`);
+      outcome = ["failed", { error: error.message }];
+    }
+  }
+
+  try {
+    await finishJob(job, ...outcome);
+  } catch (error) {
+    // The job record in memory is up to date; only the copy on disk is stale
+    console.error(`Could not save the result of job ${job.id}:`, error.message);
+  } finally {
+    appendLog(job.id, `\n--- Job ${job.status} ---\n`);
+    // Whatever failed above, the queue must move on
+    current = null;
+    await pruneFinishedJobs().catch((error) => console.error("Could not remove old jobs:", error.message));
+    startNext();
+  }
+};
+
+// runNext is never awaited by its callers, so its errors end up here instead of unhandled
+const startNext = () => {
+  runNext().catch((error) => console.error("Could not start the next job:", error.message));
+};
+
+/**
+ * Registers how jobs of a given type are executed. The runner receives the job,
+ * a `log(text)` function and an AbortSignal, and resolves with an exit code (0 = success).
+ */
+const defineJob = (type, runner) => {
+  runners.set(type, runner);
+};
+
+/**
+ * Queues a job. If an identical job is already waiting to start it is returned
+ * instead, since running the same thing twice in a row gains nothing.
+ */
+const enqueue = async (type, { requestedBy } = {}) => {
+  if (!runners.has(type)) {
+    throw new Error(`Unknown job type '${type}'.`);
+  }
+  const waiting = pending.map((id) => jobs.get(id)).find((job) => job.type === type);
+  if (waiting) {
+    return { job: waiting, created: false };
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    requestedBy: requestedBy || null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    exitCode: null,
+    error: null,
+  };
+  // Saved first, so a failed write doesn't leave a job queued that the caller was told failed
+  await saveJob(job);
+  jobs.set(job.id, job);
+  pending.push(job.id);
+  appendLog(job.id, current ? `--- Queued behind job ${current.id} ---\n` : "");
+
+  startNext();
+  return { job, created: true };
+};
+
+const getJob = (id) => jobs.get(id) || null;
+
+const listJobs = ({ type, status } = {}) =>
+  [...jobs.values()]
+    .filter((job) => (!type || job.type === type) && (!status || status.includes(job.status)))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+/**
+ * Reads a job's output starting at byte offset `since`.
+ * Returns { logs, next } where `next` is the offset to ask for next time.
+ */
+const readLogs = async (id, since = 0) => {
+  let handle;
+  try {
+    handle = await fsp.open(logFile(id), "r");
+  } catch (error) {
+    if (error.code === "ENOENT") return { logs: "", next: since };
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    const start = Math.min(Math.max(0, since), size);
+    const buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    return { logs: buffer.toString("utf8"), next: size };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Cancels a queued or running job. Returns false if the job had already finished.
+ */
+const cancelJob = async (id) => {
+  const job = jobs.get(id);
+  if (!job || !ACTIVE_STATUSES.includes(job.status)) return false;
+
+  if (job.status === "queued") {
+    pending.splice(pending.indexOf(id), 1);
+    appendLog(id, "--- Job cancelled before it started ---\n");
+    await finishJob(job, "cancelled");
+    return true;
+  }
+
+  appendLog(id, "\n--- Cancellation requested ---\n");
+  current.controller.abort();
+  return true;
+};
+
+loadJobs();
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  defineJob,
+  enqueue,
+  getJob,
+  listJobs,
+  readLogs,
+  cancelJob,
+};
@@ -0,0 +1,55 @@
+// backend/services/languageConfig.js
+const fsp = require("fs/promises");
+const path = require("path");
+
+// Shared with the action server, which reads the translation models from the same file
+const LANGUAGES_FILE =
+  process.env.LANGUAGES_FILE || path.resolve(__dirname, "..", "..", "ai-service", "languages.json");
+
+// Used when the file is missing or broken, so the chat keeps working in English and Hindi
+const FALLBACK_CONFIG = {
+  default: "en",
+  languages: [
+    { code: "en", name: "English", nativeName: "English", locale: "en-US", voiceNames: [], translation: null },
+    { code: "hi", name: "Hindi", nativeName: "हिन्दी", locale: "hi-IN", voiceNames: [], translation: null },
+  ],
+};
+
+// The UI needs a code and a speech locale for each language it offers
+const isUsableLanguage = (language) => Boolean(language?.code && language.locale);
+
+const readConfig = async () => {
+  try {
+    const config = JSON.parse(await fsp.readFile(LANGUAGES_FILE, "utf8"));
+    if (!Array.isArray(config.languages) || !config.languages.some(isUsableLanguage)) {
+      throw new Error("'languages' must list at least one language with a 'code' and a 'locale'");
+    }
+    return config;
+  } catch (error) {
+    console.error(`Could not load language config from ${LANGUAGES_FILE}:`, error.message);
+    return FALLBACK_CONFIG;
+  }
+};
+
+/**
+ * The languages the UI offers, without the server-side translation settings.
+ * Read on every call so edits to languages.json show up without a restart.
+ */
+const getPublicLanguages = async () => {
+  const config = await readConfig();
+  const languages = config.languages
+    .filter(isUsableLanguage)
+    .map(({ code, name, nativeName, locale, voiceNames, translation }) => ({
+      code,
+      name: name || code,
+      nativeName: nativeName || name || code,
+      locale,
+      voiceNames: Array.isArray(voiceNames) ? voiceNames : [],
+      // Whether answers can be translated into this language (English answers otherwise)
+      translated: code === "en" || Boolean(translation?.model),
+    }));
+  const defaultCode = languages.some((language) => language.code === config.default) ? config.default : languages[0].code;
+  return { default: defaultCode, languages };
+};
+
+module.exports = { getPublicLanguages };
@@ -0,0 +1,71 @@
+// backend/services/rasaClient.js
+const axios = require("axios");
+const { createConcurrencyLimiter } = require("./concurrencyLimiter");
+
+const AI_SERVICE_URL = process.env.RASA_URL || "http://localhost:5005/webhooks/rest/webhook";
+
+// Longest question passed on to Rasa
+const MAX_MESSAGE_LENGTH = Number(process.env.CHAT_MAX_MESSAGE_LENGTH) || 1000;
+// Seconds a client is told to wait when every slot and queue place is taken
+const BUSY_RETRY_AFTER = 10;
+
+// Every question runs embedding, re-ranking and summarization on the CPU, so limit how
+// many questions Rasa works on at the same time (shared by the chat and the public API)
+const rasaSlots = createConcurrencyLimiter({
+  maxConcurrent: Number(process.env.CHAT_MAX_CONCURRENT) || 2,
+  maxQueued: Number(process.env.CHAT_MAX_QUEUED) || 10,
+  queueTimeoutMs: 30 * 1000,
+});
+
+// Formats of the options a client may pass along with a question (see askRasa)
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+const COLLECTION_PATTERN = /^[a-z0-9-]{1,60}$/;
+
+/**
+ * Waits for a free Rasa slot, then asks Rasa. The REST channel passes `metadata` through
+ * to the action server (tracker.latest_message["metadata"]):
+ *   language    overrides language detection (unknown codes are ignored there)
+ *   collection  searches only that document collection (an id from GET /api/config/collections)
+ * Resolves to the axios response, whose `data` is Rasa's array of replies.
+ */
+const askRasa = (sender, message, { signal, onQueued, metadata } = {}) =>
+  rasaSlots.run(() => axios.post(AI_SERVICE_URL, {
+    sender: sender,
+    message: message,
+    ...(metadata && Object.keys(metadata).length > 0 ? { metadata } : {}),
+  }, {
+    // Increased timeout to allow for RAG and LLM calls
+    timeout: 60 * 1000
+  }), { signal, onQueued });
+
+// Maps an axios error from the Rasa call to the status and body we send to the client
+const describeAIError = (aiError) => {
+  if (aiError.code === "BUSY") {
+    return {
+      status: 429,
+      body: { error: "The assistant is busy answering other questions. Please try again shortly." },
+      retryAfter: BUSY_RETRY_AFTER,
+    };
+  }
+  // Check for connection timeout errors
+  if (aiError.code === "ECONNABORTED" || aiError.code === "ETIMEDOUT") {
+    return {
+      status: 504,
+      body: { error: "AI service connection timed out. It might be retraining or under heavy load." },
+    };
+  }
+  if (aiError.response && aiError.response.data) {
+    // forward Rasa error body if present
+    return { status: aiError.response.status || 500, body: { error: "AI service error", details: aiError.response.data } };
+  }
+  return { status: 500, body: { error: "Sorry, I'm having trouble connecting to my brain (the AI service)." } };
+};
+
+module.exports = {
+  AI_SERVICE_URL,
+  MAX_MESSAGE_LENGTH,
+  LANGUAGE_PATTERN,
+  COLLECTION_PATTERN,
+  askRasa,
+  describeAIError,
+};
@@ -0,0 +1,125 @@
+// backend/services/uploadValidation.js
+const fsp = require("fs/promises");
+const path = require("path");
+const { PDFDocument, EncryptedPDFError } = require("pdf-lib");
+
+const MAX_NAME_LENGTH = 120;
+
+// Rejections carry code "INVALID_UPLOAD"; their message is shown to the admin as-is
+const invalidUpload = (message) => Object.assign(new Error(message), { code: "INVALID_UPLOAD" });
+
+// Drops any directory part a browser (or a crafted request) sent, on either path separator
+const baseNameOf = (name) => String(name || "").split(/[\\/]/).pop();
+
+/**
+ * Display name for an upload: no directory part, control characters or surrounding space.
+ */
+const cleanDisplayName = (name) =>
+  baseNameOf(name)
+    .normalize("NFC")
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, 200) || "document";
+
+/**
+ * Name safe to store on disk and serve under /api/documents: letters, digits, ".", "_"
+ * and "-" only, no leading dots and a bounded length. The extension is kept.
+ */
+const sanitizeFileName = (name) => {
+  const display = cleanDisplayName(name);
+  const extension = path.extname(display).toLowerCase().replace(/[^a-z0-9.]/g, "");
+  const stem = path
+    .basename(display, path.extname(display))
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents: "résumé" -> "resume"
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .replace(/_{2,}/g, "_")
+    .replace(/^[._-]+|[._-]+$/g, "")
+    .slice(0, MAX_NAME_LENGTH - extension.length);
+  return `${stem || "document"}${extension}`;
+};
+
+const startsWithBytes = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+// Old binary Office files (.doc) and password-protected .docx files are OLE containers
+const OLE_MAGIC = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+const checkPdf = async (bytes) => {
+  // The header may follow a little junk, but has to be near the start (as readers allow)
+  const header = bytes.subarray(0, 1024).indexOf("%PDF-");
+  if (header === -1) {
+    throw invalidUpload("This is not a PDF file (the PDF header is missing).");
+  }
+  if (bytes.subarray(Math.max(0, bytes.length - 2048)).indexOf("%%EOF") === -1) {
+    throw invalidUpload("This PDF looks incomplete (it has no end marker). Please download it again and re-upload.");
+  }
+
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(bytes, { updateMetadata: false, throwOnInvalidObject: true });
+  } catch (error) {
+    if (error instanceof EncryptedPDFError) {
+      throw invalidUpload("This PDF is encrypted or password-protected. Please upload an unprotected copy.");
+    }
+    throw invalidUpload(`This PDF is damaged and can't be read (${error.message.split("\n")[0]}).`);
+  }
+  const pages = pdf.getPageCount();
+  if (pages === 0) {
+    throw invalidUpload("This PDF has no pages.");
+  }
+  return { pages };
+};
+
+const checkDocx = async (bytes) => {
+  if (startsWithBytes(bytes, OLE_MAGIC)) {
+    throw invalidUpload("This Word file is password-protected or in the old .doc format. Please save it as an unprotected .docx.");
+  }
+  // A .docx is a ZIP archive whose (uncompressed) entry names include word/document.xml
+  if (!startsWithBytes(bytes, ZIP_MAGIC) || bytes.indexOf("word/document.xml") === -1) {
+    throw invalidUpload("This is not a Word (.docx) document.");
+  }
+  return { pages: null };
+};
+
+const checkText = async (bytes) => {
+  if (bytes.indexOf(0) !== -1) {
+    throw invalidUpload("This file contains binary data, not text.");
+  }
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (error) {
+    throw invalidUpload("This file isn't valid UTF-8 text. Please save it with UTF-8 encoding.");
+  }
+  return { pages: null };
+};
+
+const CHECKS = {
+  ".pdf": checkPdf,
+  ".docx": checkDocx,
+  ".txt": checkText,
+  ".md": checkText,
+  ".markdown": checkText,
+  ".html": checkText,
+  ".htm": checkText,
+};
+
+/**
+ * Checks that an uploaded file really is what its extension says: magic bytes, and for
+ * PDFs a full parse (encrypted and damaged files are rejected). The client's mimetype
+ * is never trusted. Resolves to { pages } or rejects with code "INVALID_UPLOAD".
+ */
+const validateUpload = async (filePath, originalName) => {
+  const check = CHECKS[path.extname(originalName || "").toLowerCase()];
+  if (!check) {
+    throw invalidUpload("This file type is not supported.");
+  }
+  const bytes = await fsp.readFile(filePath);
+  if (bytes.length === 0) {
+    throw invalidUpload("The file is empty.");
+  }
+  return check(bytes);
+};
+
+module.exports = { cleanDisplayName, sanitizeFileName, validateUpload };
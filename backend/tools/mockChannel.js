@@ -0,0 +1,155 @@
+// backend/tools/mockChannel.js
+// Local stand-in for a messaging platform, to try the channel flow offline:
+//
+//   node tools/mockChannel.js whatsapp     (or: telegram)
+//
+// It plays both sides of the platform. Lines typed here are sent to the backend's webhook
+// as a student's messages, signed like the real platform would. The bot's replies arrive
+// at this server's copy of the platform's send API and are printed. The backend has to
+// use the same settings; the script prints the .env lines for them.
+require("dotenv").config();
+const crypto = require("crypto");
+const readline = require("readline");
+const axios = require("axios");
+const express = require("express");
+
+const channel = process.argv[2] || "whatsapp";
+const PORT = Number(process.env.MOCK_CHANNEL_PORT) || 5099;
+const BACKEND_URL = (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/+$/, "");
+const MOCK_URL = `http://localhost:${PORT}`;
+// The pretend student
+const USER_ID = process.env.MOCK_CHANNEL_USER || "919800000001";
+
+const whatsappSettings = {
+  // Same shape as the real API URL, which includes the Graph API version
+  WHATSAPP_API_URL: `${MOCK_URL}/v20.0`,
+  WHATSAPP_ACCESS_TOKEN: process.env.WHATSAPP_ACCESS_TOKEN || "mock-access-token",
+  WHATSAPP_PHONE_NUMBER_ID: process.env.WHATSAPP_PHONE_NUMBER_ID || "100000000000001",
+  WHATSAPP_VERIFY_TOKEN: process.env.WHATSAPP_VERIFY_TOKEN || "mock-verify-token",
+  WHATSAPP_APP_SECRET: process.env.WHATSAPP_APP_SECRET || "mock-app-secret",
+};
+const telegramSettings = {
+  TELEGRAM_API_URL: MOCK_URL,
+  TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || "123456:mock-bot-token",
+  TELEGRAM_WEBHOOK_SECRET: process.env.TELEGRAM_WEBHOOK_SECRET || "mock-webhook-secret",
+};
+
+let nextId = 1;
+
+// The platforms' webhook payloads and signatures, as the backend's adapters expect them
+const platforms = {
+  whatsapp: {
+    settings: whatsappSettings,
+    sendPath: "/:version/:phoneNumberId/messages",
+    replyOf: (body) => ({ to: body.to, text: body.text?.body }),
+    // Meta calls GET with a challenge when the webhook is registered
+    verify: async (webhookUrl) => {
+      const challenge = crypto.randomBytes(8).toString("hex");
+      const response = await axios.get(webhookUrl, {
+        params: {
+          "hub.mode": "subscribe",
+          "hub.verify_token": whatsappSettings.WHATSAPP_VERIFY_TOKEN,
+          "hub.challenge": challenge,
+        },
+        validateStatus: () => true,
+      });
+      return response.status === 200 && String(response.data) === challenge;
+    },
+    deliver: (webhookUrl, text) => {
+      const body = JSON.stringify({
+        object: "whatsapp_business_account",
+        entry: [{
+          id: "mock-business-account",
+          changes: [{
+            field: "messages",
+            value: {
+              messaging_product: "whatsapp",
+              metadata: { phone_number_id: whatsappSettings.WHATSAPP_PHONE_NUMBER_ID },
+              messages: [{
+                from: USER_ID,
+                id: `wamid.mock${nextId++}`,
+                timestamp: String(Math.floor(Date.now() / 1000)),
+                type: "text",
+                text: { body: text },
+              }],
+            },
+          }],
+        }],
+      });
+      const signature = crypto.createHmac("sha256", whatsappSettings.WHATSAPP_APP_SECRET).update(body).digest("hex");
+      return axios.post(webhookUrl, body, {
+        headers: { "Content-Type": "application/json", "X-Hub-Signature-256": `sha256=${signature}` },
+      });
+    },
+  },
+  telegram: {
+    settings: telegramSettings,
+    sendPath: "/:bot/sendMessage",
+    replyOf: (body) => ({ to: body.chat_id, text: body.text }),
+    // Telegram webhooks are registered with setWebhook instead of a handshake
+    verify: async () => true,
+    deliver: (webhookUrl, text) => {
+      const id = nextId++;
+      return axios.post(webhookUrl, {
+        update_id: id,
+        message: {
+          message_id: id,
+          date: Math.floor(Date.now() / 1000),
+          from: { id: Number(USER_ID), is_bot: false, first_name: "Student" },
+          chat: { id: Number(USER_ID), type: "private" },
+          text,
+        },
+      }, {
+        headers: { "X-Telegram-Bot-Api-Secret-Token": telegramSettings.TELEGRAM_WEBHOOK_SECRET },
+      });
+    },
+  },
+};
+
+const platform = platforms[channel];
+if (!platform) {
+  console.error(`Unknown channel '${channel}'. Use one of: ${Object.keys(platforms).join(", ")}.`);
+  process.exit(1);
+}
+const webhookUrl = `${BACKEND_URL}/api/channels/${channel}/webhook`;
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "You: " });
+
+// --- The platform's send API, where the backend posts the bot's replies ---
+const app = express();
+app.use(express.json());
+app.post(platform.sendPath, (req, res) => {
+  const { to, text } = platform.replyOf(req.body || {});
+  console.log(`\n🤖 Bot (to ${to}):\n${text}\n`);
+  rl.prompt();
+  res.json({ ok: true, messages: [{ id: `mock-reply-${nextId++}` }] });
+});
+
+app.listen(PORT, async () => {
+  console.log(`Mock ${channel} server listening on ${MOCK_URL}`);
+  console.log("Start the backend with these settings (e.g. in backend/.env):");
+  for (const [name, value] of Object.entries(platform.settings)) {
+    console.log(`  ${name}=${value}`);
+  }
+
+  try {
+    const verified = await platform.verify(webhookUrl);
+    console.log(verified ? `Webhook verified: ${webhookUrl}` : `⚠️  Webhook verification failed at ${webhookUrl}. Check the settings above.`);
+  } catch (error) {
+    console.log(`⚠️  Could not reach the backend at ${BACKEND_URL} (${error.message}). Is it running?`);
+  }
+  console.log("Type a question and press Enter (Ctrl+C to quit).\n");
+  rl.prompt();
+});
+
+rl.on("line", async (line) => {
+  const text = line.trim();
+  if (!text) return rl.prompt();
+  try {
+    await platform.deliver(webhookUrl, text);
+  } catch (error) {
+    const status = error.response ? ` (${error.response.status}: ${JSON.stringify(error.response.data)})` : "";
+    console.log(`⚠️  The backend didn't accept the message${status}: ${error.message}`);
+    rl.prompt();
+  }
+});
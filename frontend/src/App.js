@@ -1,10 +1,29 @@
 import React, { useState, useEffect, useRef } from "react";
 import axios from "axios";
+import * as pdfjsLib from "pdfjs-dist";
 import './App.css';
 
+// pdf.js parses documents in a web worker bundled alongside the app
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL("pdfjs-dist/build/pdf.worker.min.js", import.meta.url).toString();
+
 // The proxy in package.json will handle the base URL
 const API_BASE = "";
 
+// --- Admin Session Handling ---
+const ADMIN_TOKEN_KEY = "docubot_admin_token";
+
+const authHeaders = () => {
+  const token = localStorage.getItem(ADMIN_TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Axios instance for /api/admin and /api/auth calls; attaches the session token
+const adminApi = axios.create();
+adminApi.interceptors.request.use((config) => {
+  Object.assign(config.headers, authHeaders());
+  return config;
+});
+
 function App() {
   const [activeTab, setActiveTab] = useState("chat");
 
@@ -45,11 +64,78 @@ function App() {
 // --- Sub-components ---
 const Header = () => (
   <div className="header">
+    <HealthIndicator />
     <h1 className="header-title">Language Agnostic Chatbot</h1>
     <p className="header-subtitle">AI-Powered Assistance for Educational Institutions</p>
   </div>
 );
 
+// Names shown for the components reported by GET /api/health
+const HEALTH_COMPONENT_LABELS = {
+  rasa: "Rasa server",
+  actions: "Action server (RAG)",
+  adminServer: "AI admin server",
+  vectorStore: "Document index",
+  database: "Database",
+};
+
+// Dot color for a health status; anything unexpected shows as down
+const healthDotState = (status) => (status === "ok" || status === "degraded" ? status : "down");
+
+// Green/amber/red dot in the header; click it to see which service is down or degraded
+const HealthIndicator = () => {
+  const [health, setHealth] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    let stopped = false;
+    const check = () => {
+      axios.get(`${API_BASE}/api/health`, { validateStatus: (status) => status === 200 || status === 503 })
+        .then((response) => { if (!stopped) setHealth(response.data); })
+        .catch(() => { if (!stopped) setHealth({ status: "unreachable", components: {} }); });
+    };
+    check();
+    const timer = setInterval(check, 30000);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  const components = Object.entries(health?.components || {});
+  const countOf = (status) => components.filter(([, component]) => component.status === status).length;
+  const downCount = countOf("down");
+  const degradedCount = countOf("degraded");
+  let summary = "Checking services...";
+  if (health?.status === "ok") summary = "All systems operational";
+  else if (health?.status === "unreachable") summary = "Backend unreachable";
+  else if (health?.status === "degraded") summary = `${degradedCount} service${degradedCount === 1 ? "" : "s"} degraded`;
+  else if (health) summary = `${downCount} service${downCount === 1 ? "" : "s"} down`;
+  const state = health ? healthDotState(health.status) : "unknown";
+
+  return (
+    <div className="health-indicator">
+      <button type="button" className="health-button" onClick={() => setIsOpen((open) => !open)} title={summary}>
+        <span className={`health-dot health-dot-${state}`} />
+        <span className="health-summary">{summary}</span>
+      </button>
+      {isOpen && components.length > 0 && (
+        <ul className="health-details">
+          {components.map(([name, component]) => (
+            <li key={name} title={component.error || ""}>
+              <span className={`health-dot health-dot-${healthDotState(component.status)}`} />
+              <span className="health-component">{HEALTH_COMPONENT_LABELS[name] || name}</span>
+              <span className="health-latency">
+                {component.status === "ok" ? `${component.latencyMs} ms` : component.error}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
 const TabButton = ({ title, isActive, onClick, icon }) => (
   <button
     onClick={onClick}
@@ -60,22 +146,426 @@ const TabButton = ({ title, isActive, onClick, icon }) => (
   </button>
 );
 
+// Pages of the Admin Panel, in menu order
+const ADMIN_PAGES = {
+  knowledge: "Knowledge Base",
+  feedback: "Answer Feedback",
+  analytics: "Usage Analytics",
+  apiKeys: "API Keys",
+};
+
+// Jobs in these states are still going on the server
+const ACTIVE_JOB_STATUSES = ["queued", "running"];
+
+const JOB_TYPE_LABELS = {
+  retrain: "Retraining",
+  index: "Index Update",
+};
+
+// File types the backend accepts for the knowledge base
+const DOCUMENT_ACCEPT = ".pdf,.docx,.txt,.md,.markdown,.html,.htm";
+
+// --- Chat Session Persistence ---
+const CHAT_SESSION_KEY = "docubot_session_id";
+
+const WELCOME_MESSAGE = {
+  text: "Hello! I can answer questions from your documents. Ask me anything!",
+  sender: "bot",
+};
+
+// The session id is all it takes to read a transcript (GET /api/chat/sessions/:id), so it
+// must be unguessable. Shorter ids were made by earlier versions and are replaced.
+const MIN_SESSION_ID_LENGTH = 32;
+
+// A new id starts a new Rasa conversation, so earlier questions no longer shape follow-ups
+const createSessionId = () => {
+  // randomUUID needs a secure context (https or localhost); getRandomValues works on plain http too
+  const sessionId = window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : Array.from(window.crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  localStorage.setItem(CHAT_SESSION_KEY, sessionId);
+  return sessionId;
+};
+
+// Reuse the session id across page loads so the backend can restore the transcript
+const getOrCreateSessionId = () => {
+  const stored = localStorage.getItem(CHAT_SESSION_KEY);
+  return stored && stored.length >= MIN_SESSION_ID_LENGTH ? stored : createSessionId();
+};
+
+// --- Languages (GET /api/config/languages, shared with the backend) ---
+const LANGUAGE_KEY = "docubot_language";
+// Picker value for "detect the language of each question" (nothing is sent to the backend)
+const AUTO_LANGUAGE = "auto";
+
+// Used until the config loads, or if the backend can't be reached
+const FALLBACK_LANGUAGES = {
+  default: "en",
+  languages: [
+    { code: "en", name: "English", nativeName: "English", locale: "en-US", voiceNames: ["Google US English"] },
+    { code: "hi", name: "Hindi", nativeName: "हिन्दी", locale: "hi-IN", voiceNames: ["Google हिन्दी"] },
+  ],
+};
+
+// Fetched once and shared by every component that needs it
+let languagesRequest = null;
+const loadLanguages = () => {
+  if (!languagesRequest) {
+    languagesRequest = axios.get(`${API_BASE}/api/config/languages`)
+      .then((response) => response.data)
+      .catch((error) => {
+        console.error("Could not load the language list:", error);
+        languagesRequest = null;
+        return FALLBACK_LANGUAGES;
+      });
+  }
+  return languagesRequest;
+};
+
+const useLanguages = () => {
+  const [config, setConfig] = useState(FALLBACK_LANGUAGES);
+  useEffect(() => {
+    let stopped = false;
+    loadLanguages().then((loaded) => { if (!stopped) setConfig(loaded); });
+    return () => {
+      stopped = true;
+    };
+  }, []);
+  return config;
+};
+
+// Best installed voice: a configured voice name, then the exact locale, then any voice of the language
+const pickVoice = (voices, language) =>
+  (language.voiceNames || []).map((name) => voices.find((voice) => voice.name.includes(name))).find(Boolean) ||
+  voices.find((voice) => voice.lang === language.locale) ||
+  voices.find((voice) => voice.lang.replace("_", "-").toLowerCase().startsWith(`${language.code}-`)) ||
+  null;
+
+// --- Document Collections (GET /api/config/collections) ---
+const COLLECTION_KEY = "docubot_collection";
+// Collection admins upload into unless they name another (matches the backend)
+const DEFAULT_COLLECTION = "General";
+
+const fetchCollections = () =>
+  axios.get(`${API_BASE}/api/config/collections`).then((response) => response.data.collections || []);
+
+// Shown in the typing indicator while the answer is being prepared
+const PROGRESS_LABELS = {
+  queued: "Waiting for a free slot...",
+  "translating-query": "Understanding your question...",
+  retrieving: "Searching your documents...",
+  "re-ranking": "Picking the best passages...",
+  generating: "Writing the answer...",
+  translating: "Translating...",
+};
+
+// Matches the backend's CHAT_MAX_MESSAGE_LENGTH default
+const MAX_MESSAGE_LENGTH = 1000;
+
+// PDFs are cited by page; Word, Markdown and HTML documents by section
+const formatCitation = (source) => {
+  if (source.page) return `p.${source.page}`;
+  if (source.section) return `§ ${source.section}`;
+  return "document";
+};
+
+// Words of the answer worth marking in a snippet (short words like "the" would mark everything)
+const answerTerms = (answer) =>
+  new Set((answer || "").toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []);
+
+// Splits a snippet into plain and highlighted parts, marking the words it shares with the answer
+const highlightSnippet = (snippet, answer) => {
+  const terms = answerTerms(answer);
+  return (snippet || "").split(/([\p{L}\p{N}]+)/u).map((part, index) =>
+    terms.has(part.toLowerCase()) ? <mark key={index}>{part}</mark> : part
+  );
+};
+
+// --- Ranked Sources under a bot answer ---
+const SourceList = ({ sources, answer, onOpen }) => {
+  const [top] = sources;
+  // Plain clicks open the in-app viewer; modified clicks still open the file in a new tab
+  const openSource = (event, index) => {
+    if (!onOpen || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    event.preventDefault();
+    onOpen(index);
+  };
+  return (
+    <details className="source-info">
+      <summary className="source-summary">
+        <strong className="source-strong">Sources ({sources.length})</strong>
+        <span className="source-summary-top">{top.title} ({formatCitation(top)})</span>
+      </summary>
+      <ol className="source-list">
+        {sources.map((source, index) => (
+          <li key={index} className="source-item">
+            <div className="source-item-header">
+              <a
+                href={source.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="full-pdf-button"
+                onClick={(event) => openSource(event, index)}
+              >
+                {source.title} ({formatCitation(source)})
+              </a>
+              {typeof source.score === "number" && (
+                <span className="source-score" title="Re-ranker relevance score">
+                  score {source.score.toFixed(2)}
+                </span>
+              )}
+            </div>
+            {source.snippet && (
+              <blockquote className="source-snippet">{highlightSnippet(source.snippet, answer)}</blockquote>
+            )}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+};
+
+// --- Document Viewer (opens cited sources beside the chat) ---
+const documentUrl = (source) => `${API_BASE}/api/documents/${encodeURIComponent(source.title)}`;
+const isPdfSource = (source) => /\.pdf$/i.test(source.title || "");
+
+// Loaded PDFs, so moving between sources of the same file doesn't download it again
+const pdfCache = new Map();
+const loadPdf = (url) => {
+  if (!pdfCache.has(url)) {
+    pdfCache.set(url, pdfjsLib.getDocument(url).promise.catch((error) => {
+      pdfCache.delete(url);
+      throw error;
+    }));
+  }
+  return pdfCache.get(url);
+};
+
+const normalizeText = (text) => (text || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+// Marks the text-layer spans that belong to the retrieved chunk; returns the first one
+const highlightPassage = (textDivs, snippet) => {
+  const passage = normalizeText(snippet);
+  let first = null;
+  for (const div of textDivs) {
+    const text = normalizeText(div.textContent);
+    if (text.length >= 3 && passage.includes(text)) {
+      div.classList.add("pdf-highlight");
+      first = first || div;
+    }
+  }
+  return first;
+};
+
+const DocumentViewer = ({ sources, index, onNavigate, onClose }) => {
+  const source = sources[index];
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const [status, setStatus] = useState("loading");
+  const [passageFound, setPassageFound] = useState(true);
+
+  useEffect(() => {
+    if (!isPdfSource(source)) return;
+    let cancelled = false;
+    let renderTask = null;
+    let textLayerTask = null;
+    setStatus("loading");
+
+    const renderPage = async () => {
+      const pdf = await loadPdf(documentUrl(source));
+      const pageNumber = Math.min(Math.max(source.page || 1, 1), pdf.numPages);
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      if (cancelled) return;
+
+      // Fit the page to the panel width, rendered sharp on high-DPI screens
+      const canvas = canvasRef.current;
+      const textLayer = textLayerRef.current;
+      const body = canvas.parentElement.parentElement;
+      const width = (body.clientWidth - 2 * parseFloat(getComputedStyle(body).paddingLeft)) || 600;
+      const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+      const outputScale = window.devicePixelRatio || 1;
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.parentElement.style.width = `${viewport.width}px`;
+      canvas.parentElement.style.height = `${viewport.height}px`;
+      textLayer.replaceChildren();
+      textLayer.style.setProperty("--scale-factor", viewport.scale);
+
+      const textDivs = [];
+      renderTask = page.render({
+        canvasContext: canvas.getContext("2d"),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+      });
+      textLayerTask = pdfjsLib.renderTextLayer({ textContentSource: textContent, container: textLayer, viewport, textDivs });
+      await Promise.all([renderTask.promise, textLayerTask.promise]);
+      if (cancelled) return;
+
+      const firstMatch = highlightPassage(textDivs, source.snippet);
+      setPassageFound(Boolean(firstMatch) || !source.snippet);
+      setStatus("ready");
+      if (firstMatch) firstMatch.scrollIntoView({ block: "center" });
+    };
+
+    renderPage().catch((error) => {
+      if (cancelled || error?.name === "RenderingCancelledException") return;
+      console.error("Could not open the document:", error);
+      setStatus("error");
+    });
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+      textLayerTask?.cancel();
+    };
+  }, [source]);
+
+  const isPdf = isPdfSource(source);
+  const originalUrl = isPdf && source.page ? `${documentUrl(source)}#page=${source.page}` : documentUrl(source);
+
+  return (
+    <aside className="document-viewer">
+      <div className="document-viewer-header">
+        <div className="document-viewer-title">
+          <strong>{source.title}</strong>
+          <span>{formatCitation(source)}</span>
+        </div>
+        <button type="button" className="table-button" onClick={onClose} title="Close viewer">✕</button>
+      </div>
+
+      <div className="document-viewer-nav">
+        <button type="button" className="table-button" onClick={() => onNavigate(index - 1)} disabled={index === 0}>
+          ‹ Previous
+        </button>
+        <span>Source {index + 1} of {sources.length}</span>
+        <button type="button" className="table-button" onClick={() => onNavigate(index + 1)} disabled={index === sources.length - 1}>
+          Next ›
+        </button>
+        <a href={originalUrl} target="_blank" rel="noopener noreferrer" className="document-viewer-original">
+          Open original
+        </a>
+      </div>
+
+      <div className="document-viewer-body">
+        {isPdf ? (
+          <>
+            {status === "loading" && <p className="document-viewer-note">Loading page...</p>}
+            {status === "error" && <p className="document-viewer-note">Could not load this document. Try "Open original".</p>}
+            {status === "ready" && !passageFound && (
+              <p className="document-viewer-note">The cited passage couldn't be located on this page (it may be a scanned page):</p>
+            )}
+            {status === "ready" && !passageFound && <blockquote className="source-snippet">{source.snippet}</blockquote>}
+            <div className="pdf-page" style={{ display: status === "error" ? "none" : undefined }}>
+              <canvas ref={canvasRef} />
+              <div ref={textLayerRef} className="pdf-text-layer" />
+            </div>
+          </>
+        ) : (
+          <>
+            {source.section && <h4 className="document-viewer-section">{source.section}</h4>}
+            <blockquote className="source-snippet source-snippet-highlighted">{source.snippet}</blockquote>
+          </>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+// --- Thumbs up/down with an optional comment under a bot answer ---
+const FeedbackControls = ({ feedback, onSubmit }) => {
+  const [isCommenting, setIsCommenting] = useState(false);
+  const [comment, setComment] = useState("");
+  const rating = feedback?.rating;
+
+  const vote = (newRating) => {
+    onSubmit({ rating: newRating, comment: feedback?.comment || "" });
+    // Ask what was wrong right away; a comment on a good answer is optional
+    if (newRating === "down") setIsCommenting(true);
+  };
+
+  const sendComment = (e) => {
+    e.preventDefault();
+    onSubmit({ rating: rating || "down", comment: comment.trim() });
+    setIsCommenting(false);
+  };
+
+  return (
+    <div className="feedback-controls">
+      <button
+        type="button"
+        className={`feedback-button ${rating === "up" ? "active" : ""}`}
+        onClick={() => vote("up")}
+        title="Helpful answer"
+        aria-pressed={rating === "up"}
+      >
+        👍
+      </button>
+      <button
+        type="button"
+        className={`feedback-button ${rating === "down" ? "active" : ""}`}
+        onClick={() => vote("down")}
+        title="Wrong or unhelpful answer"
+        aria-pressed={rating === "down"}
+      >
+        👎
+      </button>
+      {rating && !isCommenting && (
+        <button type="button" className="feedback-link" onClick={() => { setComment(feedback?.comment || ""); setIsCommenting(true); }}>
+          {feedback?.comment ? "Edit comment" : "Add a comment"}
+        </button>
+      )}
+      {feedback?.status === "saved" && !isCommenting && <span className="feedback-status">Thanks for the feedback!</span>}
+      {feedback?.status === "error" && <span className="feedback-status error">Could not send feedback.</span>}
+      {isCommenting && (
+        <form onSubmit={sendComment} className="feedback-comment-form">
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What was wrong or missing? (optional)"
+            maxLength={1000}
+            className="feedback-comment-input"
+            autoFocus
+          />
+          <button type="submit" className="table-button">Send</button>
+          <button type="button" className="table-button" onClick={() => setIsCommenting(false)}>Cancel</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
 // --- Chat Panel Component (Gemini-like Voice Enabled) ---
 const ChatPanel = () => {
-  const [messages, setMessages] = useState([
-    {
-      text: "Hello! I can answer questions from your documents. Ask me anything!",
-      sender: "bot",
-    },
-  ]);
+  const [messages, setMessages] = useState([WELCOME_MESSAGE]);
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
-  const [sessionId] = useState(() => Math.random().toString(36).substr(2, 9));
+  const [sessionId, setSessionId] = useState(getOrCreateSessionId);
+  // Streaming state: the pipeline stage being worked on, and the bot message being filled in
+  const [progressStage, setProgressStage] = useState(null);
+  const [streamingId, setStreamingId] = useState(null);
+  // Sources of the answer open in the document viewer, and which one is shown
+  const [viewer, setViewer] = useState(null);
+  // Seconds left before the backend accepts another question (after a 429)
+  const [retryAfter, setRetryAfter] = useState(0);
 
   // Voice State
   const [speechEnabled, setSpeechEnabled] = useState(true);
   const [isListening, setIsListening] = useState(false);
-  const [language, setLanguage] = useState('en-US'); // 'en-US' or 'hi-IN'
+  // Language code of the picker, or AUTO_LANGUAGE. A picked language overrides detection on
+  // the backend; either way it drives the recognition locale and the TTS voice.
+  const languageConfig = useLanguages();
+  const [language, setLanguage] = useState(() => localStorage.getItem(LANGUAGE_KEY) || AUTO_LANGUAGE);
+  const selectedLanguage = languageConfig.languages.find((lang) => lang.code === language) || null;
+  const activeLanguage =
+    selectedLanguage ||
+    languageConfig.languages.find((lang) => lang.code === languageConfig.default) ||
+    languageConfig.languages[0];
+  const recognitionLocale = activeLanguage.locale;
+  // Collection id the answers are limited to ("" searches every collection)
+  const [collections, setCollections] = useState([]);
+  const [collection, setCollection] = useState(() => localStorage.getItem(COLLECTION_KEY) || "");
+  const selectedCollection = collections.find((item) => item.id === collection) || null;
 
   const messagesEndRef = useRef(null);
   const synthesisRef = useRef(window.speechSynthesis);
@@ -83,6 +573,26 @@ const ChatPanel = () => {
   const silenceTimerRef = useRef(null);
   const isAutoRestarting = useRef(false); // To distinguish manual stop vs auto-restart
 
+  useEffect(() => {
+    fetchCollections()
+      .then(setCollections)
+      .catch((error) => console.error("Could not load the document collections:", error));
+  }, []);
+
+  // Restore the conversation saved by the backend for this session
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/chat/sessions/${sessionId}`)
+      .then((response) => {
+        const history = (response.data.messages || []).map(({ text, sender, sources }) => ({ text, sender, sources }));
+        // Keep anything sent while the history was loading after the restored messages
+        if (history.length > 0) setMessages(prev => [WELCOME_MESSAGE, ...history, ...prev.slice(1)]);
+      })
+      .catch((error) => {
+        // 404 just means this is a new session
+        if (error.response?.status !== 404) console.error("Could not restore chat history:", error);
+      });
+  }, [sessionId]);
+
   // Auto-scroll to bottom
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -98,7 +608,7 @@ const ChatPanel = () => {
     const recognition = new window.webkitSpeechRecognition();
     recognition.continuous = true;
     recognition.interimResults = true;
-    recognition.lang = language;
+    recognition.lang = recognitionLocale;
 
     recognition.onstart = () => {
       setIsListening(true);
@@ -184,7 +694,7 @@ const ChatPanel = () => {
     return () => {
       if (recognitionRef.current) recognitionRef.current.abort();
     };
-  }, [language]); // Re-init if language changes
+  }, [recognitionLocale]); // Re-init if language changes
 
   // Base input tracking
   const baseInputRef = useRef("");
@@ -232,7 +742,8 @@ const ChatPanel = () => {
   }, []);
 
   // --- TTS Logic ---
-  const speakText = (text) => {
+  // `queue: true` plays after whatever is already being spoken (used for streamed sentences)
+  const speakText = (text, { queue = false } = {}) => {
     if (!speechEnabled || !synthesisRef.current) return;
 
     // ANTI-ECHO: Stop Mic
@@ -242,26 +753,21 @@ const ChatPanel = () => {
     }
 
     // Cancel current
-    synthesisRef.current.cancel();
+    if (!queue) synthesisRef.current.cancel();
 
     const utterance = new SpeechSynthesisUtterance(text);
 
     // Voice Selection
-    const voices = synthesisRef.current.getVoices();
-    let preferredVoice = null;
-
-    if (language === 'hi-IN') {
-      preferredVoice = voices.find(v => v.name.includes("Google") && v.lang === "hi-IN") || voices.find(v => v.lang === "hi-IN");
-    } else {
-      preferredVoice = voices.find(voice => voice.name.includes("Google US English")) || voices.find(v => v.lang === 'en-US');
-    }
-
+    const preferredVoice = pickVoice(synthesisRef.current.getVoices(), activeLanguage);
+    utterance.lang = activeLanguage.locale;
     if (preferredVoice) utterance.voice = preferredVoice;
     utterance.rate = 1.0;
     utterance.pitch = 1.0;
 
     // AUTO-RESUME
     utterance.onend = () => {
+      // More sentences are queued: keep the mic off until the last one finishes
+      if (synthesisRef.current.pending) return;
       // Wait 200ms then restart mic
       setTimeout(() => {
         if (recognitionRef.current) {
@@ -282,10 +788,12 @@ const ChatPanel = () => {
   const pushBotMessage = (botMsg) => {
     let messageText = "I received a response, but it was empty.";
     let sources = [];
+    let language = null;
 
     if (botMsg.custom) {
       messageText = botMsg.custom.text || messageText;
       sources = botMsg.custom.sources || [];
+      language = botMsg.custom.language || null;
     } else if (botMsg.text) {
       messageText = botMsg.text;
     }
@@ -298,13 +806,58 @@ const ChatPanel = () => {
         text: messageText,
         sender: "bot",
         sources: sources,
+        language,
       },
     ]);
   };
 
-  const sendMessage = async (e) => {
+  // Sends a thumbs up/down (and optional comment) for the bot message at `index`
+  const submitFeedback = async (index, { rating, comment }) => {
+    const message = messages[index];
+    const question = messages.slice(0, index).reverse().find((msg) => msg.sender === "user");
+    const update = (feedback) =>
+      setMessages((prev) => prev.map((msg, i) => (i === index ? { ...msg, feedback: { ...msg.feedback, ...feedback } } : msg)));
+
+    update({ rating, comment, status: "saving" });
+    try {
+      const response = await axios.post(`${API_BASE}/api/chat/feedback`, {
+        id: message.feedback?.id,
+        sessionId,
+        rating,
+        comment,
+        query: question?.text || "",
+        answer: message.text,
+        sources: message.sources || [],
+        language: message.language || activeLanguage.code,
+      });
+      update({ id: response.data.id, status: "saved" });
+    } catch (error) {
+      console.error("Could not send feedback:", error);
+      update({ status: "error" });
+    }
+  };
+
+  // Count down the rate-limit wait shown above the input
+  useEffect(() => {
+    if (retryAfter <= 0) return;
+    const timer = setTimeout(() => setRetryAfter((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryAfter]);
+
+  // Forget the conversation: a fresh session id, transcript and document viewer
+  const startNewConversation = () => {
+    if (isLoading) return;
+    if (synthesisRef.current) synthesisRef.current.cancel();
+    setSessionId(createSessionId());
+    setMessages([WELCOME_MESSAGE]);
+    setViewer(null);
+    setInput("");
+    baseInputRef.current = "";
+  };
+
+  const sendMessage = (e) => {
     if (e) e.preventDefault();
-    if (!input.trim() || isLoading) return;
+    if (!input.trim() || isLoading || retryAfter > 0) return;
 
     // Silence the bot
     if (synthesisRef.current) synthesisRef.current.cancel();
@@ -322,238 +875,1362 @@ const ChatPanel = () => {
     baseInputRef.current = ""; // Reset base
     setIsLoading(true);
 
-    try {
-      const response = await axios.post(`${API_BASE}/api/chat`, {
-        message: query,
-        sender: sessionId,
-      });
-
-      let messageReceived = false;
-      if (response.data && Array.isArray(response.data) && response.data.length > 0) {
-        response.data.forEach((botMsg) => {
-          if (botMsg.custom || botMsg.text) {
-            pushBotMessage(botMsg);
-            messageReceived = true;
-          }
-        });
-      }
+    // Stream the reply: progress stages first, then the answer sentence by sentence
+    const params = new URLSearchParams({ message: query, sender: sessionId });
+    if (selectedLanguage) params.set("language", selectedLanguage.code);
+    if (selectedCollection) params.set("collection", selectedCollection.id);
+    const events = new EventSource(`${API_BASE}/api/chat/stream?${params}`);
+    const streamId = `stream-${Date.now()}`;
+    let streamStarted = false;
+    let messageReceived = false;
+
+    const finish = () => {
+      events.close();
+      setIsLoading(false);
+      setProgressStage(null);
+      setStreamingId(null);
+    };
 
-      if (!messageReceived) {
-        const errorMsg = "Sorry, I didn’t get a specific response.";
-        setMessages((prev) => [...prev, { text: errorMsg, sender: "bot" }]);
-        speakText(errorMsg);
-      }
-    } catch (error) {
-      console.error("Error sending message:", error);
-      const errorText = error.response?.data?.error || "Sorry, I cannot connect to the AI brain.";
+    const pushError = (errorText) => {
       setMessages((prev) => [...prev, { text: String(errorText), sender: "bot" }]);
       speakText(String(errorText));
-    } finally {
-      setIsLoading(false);
-    }
+    };
+
+    events.addEventListener("progress", (event) => {
+      setProgressStage(JSON.parse(event.data).stage);
+    });
+
+    events.addEventListener("delta", (event) => {
+      const { text } = JSON.parse(event.data);
+      messageReceived = true;
+      if (!streamStarted) {
+        streamStarted = true;
+        setStreamingId(streamId);
+        setMessages((prev) => [...prev, { id: streamId, text, sender: "bot", sources: [] }]);
+        // Start talking as soon as the first sentence is here
+        speakText(text);
+      } else {
+        setMessages((prev) => prev.map((msg) => (msg.id === streamId ? { ...msg, text: msg.text + text } : msg)));
+        speakText(text, { queue: true });
+      }
+    });
+
+    events.addEventListener("sources", (event) => {
+      const { sources, language } = JSON.parse(event.data);
+      setMessages((prev) => prev.map((msg) => (msg.id === streamId ? { ...msg, sources, language } : msg)));
+    });
+
+    events.addEventListener("message", (event) => {
+      pushBotMessage({ custom: JSON.parse(event.data) });
+      messageReceived = true;
+    });
+
+    events.addEventListener("chat-error", (event) => {
+      const { error, status, retryAfter: waitSeconds } = JSON.parse(event.data);
+      messageReceived = true;
+      if (status === 429) {
+        // Not an answer: take the question back so it can be sent again after the wait
+        setMessages((prev) => prev.filter((msg) => msg !== userMessage));
+        setInput(query);
+        setRetryAfter(waitSeconds || 10);
+        return;
+      }
+      pushError(error || "Sorry, I cannot connect to the AI brain.");
+    });
+
+    events.addEventListener("done", () => {
+      if (!messageReceived) pushError("Sorry, I didn’t get a specific response.");
+      finish();
+    });
+
+    // Connection failed or dropped before "done". Close it so EventSource doesn't re-send the question.
+    events.onerror = (error) => {
+      console.error("Error streaming message:", error);
+      if (!messageReceived) pushError("Sorry, I cannot connect to the AI brain.");
+      finish();
+    };
   };
 
   return (
-    <div className="chat-container">
-      <div className="message-area">
-        {messages.map((msg, index) => {
-          const isUser = msg.sender === "user";
-          return (
-            <div key={index} className={`message-row ${isUser ? 'message-row-user' : 'message-row-bot'}`}>
-              <div className={`message-bubble ${isUser ? 'message-bubble-user' : 'message-bubble-bot'}`}>
-                <p>{msg.text}</p>
-                {msg.sender === "bot" && msg.sources && msg.sources.length > 0 && (
-                  <div className="source-info">
-                    <strong className="source-strong">Source:</strong>
-                    <a
-                      href={msg.sources[0].url}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="full-pdf-button"
-                    >
-                      {msg.sources[0].title} (p.{msg.sources[0].page})
-                    </a>
-                  </div>
-                )}
+    <div className={`chat-layout ${viewer ? 'with-viewer' : ''}`}>
+      <div className="chat-container">
+        <div className="message-area">
+          {messages.map((msg, index) => {
+            const isUser = msg.sender === "user";
+            return (
+              <div key={index} className={`message-row ${isUser ? 'message-row-user' : 'message-row-bot'}`}>
+                <div className={`message-bubble ${isUser ? 'message-bubble-user' : 'message-bubble-bot'}`}>
+                  <p>{msg.text}</p>
+                  {msg.sender === "bot" && msg.sources && msg.sources.length > 0 && (
+                    <SourceList
+                      sources={msg.sources}
+                      answer={msg.text}
+                      onOpen={(sourceIndex) => setViewer({ sources: msg.sources, index: sourceIndex })}
+                    />
+                  )}
+                  {msg.sender === "bot" && index > 0 && msg.id !== streamingId && (
+                    <FeedbackControls feedback={msg.feedback} onSubmit={(feedback) => submitFeedback(index, feedback)} />
+                  )}
+                </div>
               </div>
-            </div>
-          );
-        })}
-        {isLoading && <TypingIndicator />}
-        {isListening && !isLoading && (
-          <div className="listening-indicator">Listening...</div> // Needs CSS or inline style
-        )}
-        <div ref={messagesEndRef} />
-      </div>
-
-      <div className="input-controls">
-        {/* Language Toggle */}
-        <button
-          type="button"
-          className="icon-button"
-          onClick={() => setLanguage(prev => prev === 'en-US' ? 'hi-IN' : 'en-US')}
-          title={`Current Language: ${language === 'en-US' ? 'English' : 'Hindi'}`}
-          style={{ fontSize: '0.8rem', fontWeight: 'bold', width: 'auto', padding: '0 10px', borderRadius: '15px' }}
-        >
-          {language === 'en-US' ? 'EN' : 'HI'}
-        </button>
-
-        {/* Mic Button */}
-        <button
-          type="button"
-          className={`icon-button ${isListening ? 'active' : ''}`}
-          onClick={toggleMic}
-          title={isListening ? "Stop Listening" : "Start Listening"}
-          style={{ color: isListening ? '#dc2626' : undefined }}
-        >
-          <MicIcon />
-        </button>
+            );
+          })}
+          {isLoading && !streamingId && <TypingIndicator label={PROGRESS_LABELS[progressStage]} />}
+          {isListening && !isLoading && (
+            <div className="listening-indicator">Listening...</div> // Needs CSS or inline style
+          )}
+          <div ref={messagesEndRef} />
+        </div>
 
-        {/* Speaker Toggle */}
-        <button
-          type="button"
-          className={`icon-button speaker-button ${speechEnabled ? 'active' : ''}`}
-          onClick={() => setSpeechEnabled(!speechEnabled)}
-          title={speechEnabled ? "Mute Text-to-Speech" : "Enable Text-to-Speech"}
-        >
-          {speechEnabled ? <SpeakerOnIcon /> : <SpeakerOffIcon />}
-        </button>
+        {retryAfter > 0 && (
+          <div className="rate-limit-notice" role="status">
+            ⏳ You're asking questions faster than I can answer them. You can send again in {retryAfter}s.
+          </div>
+        )}
 
-        <form onSubmit={sendMessage} className="input-form">
-          <input
-            type="text"
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            placeholder={isListening ? "Listening..." : "Ask a question..."}
-            className="input-field"
+        <div className="input-controls">
+          {/* New Conversation */}
+          <button
+            type="button"
+            className="icon-button"
+            onClick={startNewConversation}
             disabled={isLoading}
-          />
+            title="New conversation"
+          >
+            <NewChatIcon />
+          </button>
 
-          <button type="submit" className={`submit-trigger-btn send-button ${isLoading ? 'disabled' : ''}`} disabled={isLoading}>
-            <SendIcon />
+          {/* Language Picker */}
+          <select
+            className="language-select"
+            value={selectedLanguage ? selectedLanguage.code : AUTO_LANGUAGE}
+            onChange={(e) => {
+              setLanguage(e.target.value);
+              localStorage.setItem(LANGUAGE_KEY, e.target.value);
+            }}
+            title={selectedLanguage ? `Current Language: ${selectedLanguage.name}` : "Language: detected from each question"}
+          >
+            <option value={AUTO_LANGUAGE}>Auto</option>
+            {languageConfig.languages.map((lang) => (
+              <option key={lang.code} value={lang.code}>{lang.nativeName}</option>
+            ))}
+          </select>
+
+          {/* Collection Picker (only worth showing once there is more than one) */}
+          {collections.length > 1 && (
+            <select
+              className="language-select collection-select"
+              value={selectedCollection ? selectedCollection.id : ""}
+              onChange={(e) => {
+                setCollection(e.target.value);
+                localStorage.setItem(COLLECTION_KEY, e.target.value);
+              }}
+              title={selectedCollection ? `Answering from: ${selectedCollection.name}` : "Answering from all documents"}
+            >
+              <option value="">All documents</option>
+              {collections.map((item) => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+            </select>
+          )}
+
+          {/* Mic Button */}
+          <button
+            type="button"
+            className={`icon-button ${isListening ? 'active' : ''}`}
+            onClick={toggleMic}
+            title={isListening ? "Stop Listening" : "Start Listening"}
+            style={{ color: isListening ? '#dc2626' : undefined }}
+          >
+            <MicIcon />
           </button>
-        </form>
+
+          {/* Speaker Toggle */}
+          <button
+            type="button"
+            className={`icon-button speaker-button ${speechEnabled ? 'active' : ''}`}
+            onClick={() => setSpeechEnabled(!speechEnabled)}
+            title={speechEnabled ? "Mute Text-to-Speech" : "Enable Text-to-Speech"}
+          >
+            {speechEnabled ? <SpeakerOnIcon /> : <SpeakerOffIcon />}
+          </button>
+
+          <form onSubmit={sendMessage} className="input-form">
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={isListening ? "Listening..." : "Ask a question..."}
+              className="input-field"
+              disabled={isLoading}
+              maxLength={MAX_MESSAGE_LENGTH}
+            />
+
+            <button type="submit" className={`submit-trigger-btn send-button ${isLoading || retryAfter > 0 ? 'disabled' : ''}`} disabled={isLoading || retryAfter > 0}>
+              <SendIcon />
+            </button>
+          </form>
+        </div>
       </div>
+      {viewer && (
+        <DocumentViewer
+          sources={viewer.sources}
+          index={viewer.index}
+          onNavigate={(sourceIndex) => setViewer((prev) => ({ ...prev, index: sourceIndex }))}
+          onClose={() => setViewer(null)}
+        />
+      )}
     </div>
   );
 };
 
 // --- Admin Panel Component ---
 const AdminPanel = () => {
-  const [file, setFile] = useState(null);
-  const [uploadMessage, setUploadMessage] = useState("");
-  const [isUploading, setIsUploading] = useState(false);
+  const [adminPage, setAdminPage] = useState("knowledge");
+  // Existing collections, suggested when uploading
+  const [collections, setCollections] = useState([]);
 
   const [logContent, setLogContent] = useState("");
-  const [isRetraining, setIsRetraining] = useState(false);
+  // The job (retrain or index update) whose logs are shown; it keeps running on the server if this tab closes
+  const [followedJob, setFollowedJob] = useState(null);
+  const logOffsetRef = useRef(0);
+  const isJobActive = !!followedJob && ACTIVE_JOB_STATUSES.includes(followedJob.status);
+  const isRetraining = isJobActive && followedJob.type === "retrain";
+  const followedJobId = followedJob?.id;
   const logRef = useRef(null);
 
+  // Bumped after each upload so the document table reloads
+  const [libraryVersion, setLibraryVersion] = useState(0);
+
+  // Logged-in admin user (null shows the login screen)
+  const [user, setUser] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(() => !!localStorage.getItem(ADMIN_TOKEN_KEY));
+
+  // Any 401 from the admin API means the session is gone: drop back to the login screen
+  useEffect(() => {
+    const interceptor = adminApi.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401 && !error.config?.url?.endsWith("/api/auth/login")) {
+          localStorage.removeItem(ADMIN_TOKEN_KEY);
+          setUser(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => adminApi.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Restore an existing session on load
+  useEffect(() => {
+    if (!localStorage.getItem(ADMIN_TOKEN_KEY)) return;
+    adminApi.get(`${API_BASE}/api/auth/me`)
+      .then((response) => setUser(response.data.user))
+      .catch(() => localStorage.removeItem(ADMIN_TOKEN_KEY))
+      .finally(() => setIsCheckingSession(false));
+  }, []);
+
+  const handleLogin = (token, loggedInUser) => {
+    localStorage.setItem(ADMIN_TOKEN_KEY, token);
+    setUser(loggedInUser);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await adminApi.post(`${API_BASE}/api/auth/logout`);
+    } catch (error) {
+      console.error("Logout request failed:", error);
+    } finally {
+      localStorage.removeItem(ADMIN_TOKEN_KEY);
+      setUser(null);
+    }
+  };
+
   useEffect(() => {
     if (logRef.current) {
       logRef.current.scrollTop = logRef.current.scrollHeight;
     }
   }, [logContent]);
 
-  const handleFileChange = (e) => {
-    setFile(e.target.files[0]);
-    setUploadMessage("");
+  useEffect(() => {
+    if (!user) return;
+    fetchCollections()
+      .then(setCollections)
+      .catch((error) => console.error("Could not load the document collections:", error));
+  }, [user, libraryVersion]);
+
+  // Starts showing the logs of another job
+  const followJob = (job, intro = "") => {
+    logOffsetRef.current = 0;
+    setLogContent(intro);
+    setFollowedJob(job);
   };
 
-  const handleFileUpload = async (e) => {
-    e.preventDefault();
-    if (!file) {
-      setUploadMessage("Please select a PDF file first.");
+  // Index updates queued by library changes are shown unless a retrain is being followed
+  const handleJobQueued = (job) => {
+    if (!job || isRetraining || job.id === followedJobId) return;
+    followJob(job, "--- Updating the document index... ---\n");
+  };
+
+  // Reattach to a job that is still queued or running (e.g. after a page refresh)
+  useEffect(() => {
+    if (!user) return;
+    adminApi.get(`${API_BASE}/api/admin/jobs?status=queued,running`)
+      .then((response) => {
+        const jobs = response.data.jobs || [];
+        const job = jobs.find(j => j.status === "running") || jobs[0];
+        if (job) followJob(job);
+      })
+      .catch((error) => console.error("Could not check for running jobs:", error));
+  }, [user]);
+
+  // Poll the followed job's logs until it finishes
+  useEffect(() => {
+    if (!followedJobId || !isJobActive) return;
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const response = await adminApi.get(`${API_BASE}/api/admin/jobs/${followedJobId}/logs?since=${logOffsetRef.current}`);
+        if (stopped) return;
+        const { logs, next, status } = response.data;
+        logOffsetRef.current = next;
+        if (logs) setLogContent(prev => prev + logs);
+        setFollowedJob(job => (job && job.status !== status ? { ...job, status } : job));
+      } catch (error) {
+        console.error("Could not fetch job logs:", error);
+      }
+      if (!stopped) timer = setTimeout(poll, 1500);
+    };
+
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [followedJobId, isJobActive]);
+
+  const handleRetrain = async () => {
+    if (isRetraining) return;
+
+    try {
+      const response = await adminApi.post(`${API_BASE}/api/admin/retrain`);
+      followJob(response.data.job, `--- ${response.data.message} ---\n`);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      setLogContent(prev => prev + `\n❌ CRITICAL ERROR: Could not start retraining.\nError: ${errorMessage}\n`);
+    }
+  };
+
+  // One index update (or the retrain the admin asked for) after a batch of uploads
+  const handleUploadsFinished = async ({ uploaded, retrain }) => {
+    setLibraryVersion(v => v + 1);
+    if (uploaded === 0) return;
+    if (retrain) {
+      await handleRetrain();
       return;
     }
+    try {
+      const response = await adminApi.post(`${API_BASE}/api/admin/index`);
+      handleJobQueued(response.data.job);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      setLogContent(prev => prev + `\n❌ Could not queue the index update: ${errorMessage}\n`);
+    }
+  };
 
-    setIsUploading(true);
-    setUploadMessage("Uploading...");
+  const handleCancelJob = async () => {
+    if (!isJobActive || !window.confirm(`Cancel the running ${JOB_TYPE_LABELS[followedJob.type]} job?`)) return;
+    try {
+      await adminApi.delete(`${API_BASE}/api/admin/jobs/${followedJob.id}`);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      setLogContent(prev => prev + `\n❌ Could not cancel the job: ${errorMessage}\n`);
+    }
+  };
 
-    const formData = new FormData();
-    formData.append("pdf", file);
+  if (isCheckingSession) {
+    return (
+      <div className="admin-container">
+        <p className="admin-description">Checking your session...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <AdminLogin onLogin={handleLogin} />;
+  }
+
+  // Viewers can browse the library and logs but not change anything
+  const canEdit = user.role === "admin";
+
+  return (
+    <div className="admin-container">
+      <div className="admin-user-bar">
+        <span>Signed in as <strong>{user.username}</strong> ({user.role})</span>
+        <button type="button" className="table-button" onClick={handleLogout}>Log out</button>
+      </div>
+
+      <div className="admin-page-nav">
+        {Object.entries(ADMIN_PAGES).map(([page, title]) => (
+          <button
+            key={page}
+            type="button"
+            className={`admin-page-button ${adminPage === page ? "active" : ""}`}
+            onClick={() => setAdminPage(page)}
+          >
+            {title}
+          </button>
+        ))}
+      </div>
+
+      {adminPage === "feedback" && <FeedbackReview />}
+
+      {adminPage === "analytics" && <AnalyticsDashboard />}
+
+      {adminPage === "apiKeys" && <ApiKeys canEdit={canEdit} />}
+
+      {adminPage === "knowledge" && (
+        <>
+          <div className="admin-section">
+            <h3 className="admin-title">1. Upload Knowledge</h3>
+            <p className="admin-description">Add new documents to the chatbot's knowledge base: PDF (scanned pages are read with OCR), Word (.docx), text, Markdown or HTML. Put related documents in the same collection (e.g. "Exams", "Hostel") so users can limit answers to it. Drop several files at once, or a .zip archive of them.</p>
+            <BulkUpload collections={collections} disabled={isRetraining || !canEdit} onFinished={handleUploadsFinished} />
+          </div>
+
+          <DocumentLibrary refreshKey={`${libraryVersion}-${followedJob?.status}`} disabled={isRetraining || !canEdit} onJobQueued={handleJobQueued} />
+
+          <div className="admin-section">
+            <h3 className="admin-title">3. Retrain AI</h3>
+            <p className="admin-description">Uploads, replacements and deletions update the document index automatically. Run a full retrain after changing the NLU training data, or to rebuild everything.</p>
+
+            <IndexStatus refreshKey={followedJob?.status} />
+
+            <button
+              onClick={handleRetrain}
+              className={`retrain-button ${isRetraining || !canEdit ? 'disabled' : ''}`}
+              disabled={isRetraining || !canEdit}
+            >
+              {isRetraining ? <RetrainIconSpin /> : <RetrainIcon />}
+              {isRetraining ? (followedJob.status === "queued" ? 'Retraining Queued...' : 'Retraining in Progress...') : 'Trigger Full Retraining'}
+            </button>
+
+            {isJobActive && canEdit && (
+              <button type="button" className="table-button danger cancel-job-button" onClick={handleCancelJob}>
+                Cancel Job
+              </button>
+            )}
+
+            <h4 className="log-title">
+              {followedJob ? `${JOB_TYPE_LABELS[followedJob.type]} Logs:` : "Job Logs:"}
+              {followedJob && <span className={`job-status job-status-${followedJob.status}`}>{followedJob.status}</span>}
+            </h4>
+            <div ref={logRef} className="log-viewer">
+              <pre className="log-pre">{logContent}</pre>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- Answer Feedback Review (negative feedback by document and date) ---
+const FeedbackReview = () => {
+  const [filters, setFilters] = useState({ rating: "down", document: "", from: "", to: "" });
+  const [feedback, setFeedback] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [reviewMessage, setReviewMessage] = useState("");
+
+  useEffect(() => {
+    let stopped = false;
+    setIsLoading(true);
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    adminApi.get(`${API_BASE}/api/admin/feedback`, { params })
+      .then((response) => {
+        if (stopped) return;
+        setFeedback(response.data.feedback);
+        setDocuments(response.data.documents);
+        setReviewMessage("");
+      })
+      .catch((error) => {
+        if (!stopped) setReviewMessage(`❌ ${error.response?.data?.message || "Could not load feedback."}`);
+      })
+      .finally(() => {
+        if (!stopped) setIsLoading(false);
+      });
+    return () => {
+      stopped = true;
+    };
+  }, [filters]);
+
+  const setFilter = (name) => (e) => setFilters((prev) => ({ ...prev, [name]: e.target.value }));
+
+  return (
+    <div className="admin-section">
+      <h3 className="admin-title">Answer Feedback</h3>
+      <p className="admin-description">Answers users rated in the chat. Look for documents that keep coming up in bad answers, and questions that need NLU examples.</p>
+
+      <div className="feedback-filters">
+        <select value={filters.rating} onChange={setFilter("rating")} className="feedback-filter">
+          <option value="down">👎 Negative</option>
+          <option value="up">👍 Positive</option>
+          <option value="all">All ratings</option>
+        </select>
+        <select value={filters.document} onChange={setFilter("document")} className="feedback-filter">
+          <option value="">All documents</option>
+          {documents.map((name) => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <label className="feedback-filter-label">
+          From <input type="date" value={filters.from} onChange={setFilter("from")} className="feedback-filter" />
+        </label>
+        <label className="feedback-filter-label">
+          To <input type="date" value={filters.to} onChange={setFilter("to")} className="feedback-filter" />
+        </label>
+      </div>
+
+      {reviewMessage && <p className="upload-message">{reviewMessage}</p>}
+
+      <div className="document-table-wrapper feedback-table-wrapper">
+        <table className="document-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Question &amp; answer</th>
+              <th>Comment</th>
+              <th>Cited documents</th>
+            </tr>
+          </thead>
+          <tbody>
+            {feedback.map((entry) => (
+              <tr key={entry.id}>
+                <td>
+                  {new Date(entry.createdAt).toLocaleString()}
+                  <div className="document-stored-name">{entry.rating === "up" ? "👍" : "👎"} {entry.language || ""}</div>
+                </td>
+                <td>
+                  <div className="document-name">{entry.query || "(question not recorded)"}</div>
+                  <div className="feedback-answer">{entry.answer}</div>
+                </td>
+                <td>{entry.comment || "—"}</td>
+                <td>
+                  {(entry.sources || []).length === 0 && "—"}
+                  {(entry.sources || []).map((source, index) => (
+                    <div key={index} className="document-stored-name">{source.title} ({formatCitation(source)})</div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+            {!isLoading && feedback.length === 0 && (
+              <tr>
+                <td colSpan="4" className="document-empty">No feedback matches these filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// --- Usage Analytics Dashboard ---
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// Daily queries as stacked bars: answered (blue) and unanswered (red)
+const QueriesPerDayChart = ({ days }) => {
+  const width = 600;
+  const height = 160;
+  const max = Math.max(1, ...days.map((day) => day.queries));
+  const barWidth = width / days.length;
+  const labelEvery = Math.ceil(days.length / 8);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 20}`} className="analytics-chart" role="img" aria-label="Queries per day">
+      {days.map((day, index) => {
+        const total = (day.queries / max) * height;
+        const unanswered = (day.unanswered / max) * height;
+        const x = index * barWidth + barWidth * 0.15;
+        return (
+          <g key={day.date}>
+            <title>{`${day.date}: ${day.queries} queries, ${day.unanswered} unanswered`}</title>
+            <rect x={x} y={height - total} width={barWidth * 0.7} height={total - unanswered} className="analytics-bar" />
+            <rect x={x} y={height - unanswered} width={barWidth * 0.7} height={unanswered} className="analytics-bar unanswered" />
+            {index % labelEvery === 0 && (
+              <text x={x + barWidth * 0.35} y={height + 14} textAnchor="middle" className="analytics-axis-label">
+                {day.date.slice(5)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Horizontal bars for a ranked list ({ label, count })
+const RankedBars = ({ items, total }) => (
+  <div className="ranked-bars">
+    {items.length === 0 && <p className="document-empty">No data yet.</p>}
+    {items.map((item) => (
+      <div key={item.label} className="ranked-bar-row">
+        <span className="ranked-bar-label" title={item.label}>{item.label}</span>
+        <div className="ranked-bar-track">
+          <div className="ranked-bar-fill" style={{ width: `${(item.count / Math.max(1, total)) * 100}%` }} />
+        </div>
+        <span className="ranked-bar-count">{item.count}</span>
+      </div>
+    ))}
+  </div>
+);
+
+const AnalyticsDashboard = () => {
+  const [days, setDays] = useState(30);
+  const [summary, setSummary] = useState(null);
+  const [analyticsMessage, setAnalyticsMessage] = useState("");
+  const { languages } = useLanguages();
+  const languageName = (code) => languages.find((lang) => lang.code === code)?.name || (code === "unknown" ? "Unknown" : code);
+
+  useEffect(() => {
+    let stopped = false;
+    adminApi.get(`${API_BASE}/api/admin/analytics`, { params: { days } })
+      .then((response) => {
+        if (stopped) return;
+        setSummary(response.data);
+        setAnalyticsMessage("");
+      })
+      .catch((error) => {
+        if (!stopped) setAnalyticsMessage(`❌ ${error.response?.data?.message || "Could not load analytics."}`);
+      });
+    return () => {
+      stopped = true;
+    };
+  }, [days]);
+
+  const topDocumentMax = summary?.topDocuments[0]?.count || 0;
+
+  return (
+    <div className="admin-section">
+      <div className="analytics-header">
+        <h3 className="admin-title">Usage Analytics</h3>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="feedback-filter">
+          <option value={7}>Last 7 days</option>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+        </select>
+      </div>
 
+      {analyticsMessage && <p className="upload-message">{analyticsMessage}</p>}
+      {!summary && !analyticsMessage && <p className="admin-description">Loading analytics...</p>}
+
+      {summary && (
+        <>
+          <div className="analytics-cards">
+            <div className="analytics-card">
+              <span className="analytics-card-value">{summary.totals.queries}</span>
+              <span className="analytics-card-label">Queries</span>
+            </div>
+            <div className="analytics-card">
+              <span className="analytics-card-value">{formatPercent(summary.totals.unansweredRate)}</span>
+              <span className="analytics-card-label">Unanswered ({summary.totals.unanswered})</span>
+            </div>
+            <div className="analytics-card">
+              <span className="analytics-card-value">
+                {summary.totals.averageLatencyMs === null ? "—" : `${(summary.totals.averageLatencyMs / 1000).toFixed(1)}s`}
+              </span>
+              <span className="analytics-card-label">Average response time</span>
+            </div>
+          </div>
+
+          <h4 className="log-title">Queries per day</h4>
+          <QueriesPerDayChart days={summary.queriesPerDay} />
+
+          <div className="analytics-columns">
+            <div>
+              <h4 className="log-title">Top cited documents</h4>
+              <RankedBars
+                items={summary.topDocuments.map(({ document, count }) => ({ label: document, count }))}
+                total={topDocumentMax}
+              />
+            </div>
+            <div>
+              <h4 className="log-title">Language mix</h4>
+              <RankedBars
+                items={summary.languages.map(({ language, count }) => ({
+                  label: `${languageName(language)} (${formatPercent(count / Math.max(1, summary.totals.queries))})`,
+                  count,
+                }))}
+                total={summary.totals.queries}
+              />
+            </div>
+          </div>
+
+          <h4 className="log-title">Most frequent unanswered questions</h4>
+          <div className="document-table-wrapper">
+            <table className="document-table">
+              <thead>
+                <tr>
+                  <th>Question</th>
+                  <th>Times asked</th>
+                  <th>Last asked</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.unansweredQuestions.map((entry) => (
+                  <tr key={entry.question}>
+                    <td className="document-name">{entry.question}</td>
+                    <td>{entry.count}</td>
+                    <td>{new Date(entry.lastAskedAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+                {summary.unansweredQuestions.length === 0 && (
+                  <tr>
+                    <td colSpan="3" className="document-empty">Every question in this period got an answer.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- API Keys for the public /api/v1 API ---
+const ApiKeys = ({ canEdit }) => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [keyName, setKeyName] = useState("");
+  // The full key is only returned once, right after creating it
+  const [newKey, setNewKey] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [keysMessage, setKeysMessage] = useState("");
+
+  const loadKeys = () =>
+    adminApi.get(`${API_BASE}/api/admin/api-keys`)
+      .then((response) => setApiKeys(response.data.apiKeys))
+      .catch((error) => setKeysMessage(`❌ ${error.response?.data?.message || "Could not load the API keys."}`));
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!keyName.trim()) return;
+    setIsSaving(true);
     try {
-      const response = await axios.post(`${API_BASE}/api/admin/upload`, formData);
-      setUploadMessage(`✅ Success! '${response.data.filename}' was uploaded.`);
-      setFile(null);
+      const response = await adminApi.post(`${API_BASE}/api/admin/api-keys`, { name: keyName.trim() });
+      setNewKey({ name: response.data.apiKey.name, key: response.data.key });
+      setKeysMessage(`✅ ${response.data.message}`);
+      setKeyName("");
+      loadKeys();
     } catch (error) {
-      const errorMessage = error.response?.data?.message || "Failed to upload file.";
-      setUploadMessage(`❌ Error: ${errorMessage}`);
+      setKeysMessage(`❌ ${error.response?.data?.message || "Could not create the API key."}`);
     } finally {
-      setIsUploading(false);
+      setIsSaving(false);
     }
   };
 
-  const handleRetrain = async () => {
-    if (isRetraining) return;
-    setIsRetraining(true);
-    setLogContent("--- Connecting to retraining service... ---\n");
-
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke the API key '${apiKey.name}'? Apps using it stop working immediately.`)) return;
     try {
-      const response = await fetch(`${API_BASE}/api/admin/retrain`, {
-        method: 'POST',
-      });
+      const response = await adminApi.delete(`${API_BASE}/api/admin/api-keys/${apiKey.id}`);
+      setKeysMessage(`✅ ${response.data.message}`);
+      loadKeys();
+    } catch (error) {
+      setKeysMessage(`❌ ${error.response?.data?.message || "Could not revoke the API key."}`);
+    }
+  };
 
-      if (!response.ok || !response.body) {
-        throw new Error(`Server responded with status: ${response.status}`);
-      }
+  const copyNewKey = () => {
+    navigator.clipboard.writeText(newKey.key)
+      .then(() => setKeysMessage("✅ Key copied to the clipboard."))
+      .catch(() => setKeysMessage("❌ Could not copy the key. Please select and copy it by hand."));
+  };
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+  return (
+    <div className="admin-section">
+      <h3 className="admin-title">API Keys</h3>
+      <p className="admin-description">
+        Other apps (e.g. the college portal or mobile app) ask questions through <code>POST /api/v1/ask</code> with
+        a key in the <code>X-API-Key</code> header. Create one key per app so each can be revoked on its own.
+        The API is described in the <a href={`${API_BASE}/api/v1/openapi.json`} target="_blank" rel="noopener noreferrer">OpenAPI document</a>.
+      </p>
+
+      {canEdit && (
+        <form onSubmit={handleCreate} className="upload-form">
+          <input
+            type="text"
+            value={keyName}
+            onChange={(e) => setKeyName(e.target.value)}
+            placeholder="Name, e.g. College portal"
+            maxLength={100}
+            disabled={isSaving}
+            className="collection-input"
+          />
+          <button type="submit" className={`upload-button ${isSaving || !keyName.trim() ? 'disabled' : ''}`} disabled={isSaving || !keyName.trim()}>
+            Create Key
+          </button>
+        </form>
+      )}
+
+      {newKey && (
+        <div className="api-key-created">
+          <p>Key for <strong>{newKey.name}</strong>. Copy it now: it won't be shown again.</p>
+          <div className="api-key-value">
+            <code>{newKey.key}</code>
+            <button type="button" className="table-button" onClick={copyNewKey}>Copy</button>
+            <button type="button" className="table-button" onClick={() => setNewKey(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {keysMessage && <p className="upload-message">{keysMessage}</p>}
+
+      <div className="document-table-wrapper">
+        <table className="document-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Created</th>
+              <th>Last used</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiKeys.map((apiKey) => (
+              <tr key={apiKey.id}>
+                <td>
+                  <div className="document-name">{apiKey.name}</div>
+                  {apiKey.revokedAt && <span className="job-status job-status-failed">revoked</span>}
+                </td>
+                <td><code>{apiKey.prefix}…</code></td>
+                <td>
+                  {new Date(apiKey.createdAt).toLocaleString()}
+                  {apiKey.createdBy && <div className="document-stored-name">by {apiKey.createdBy}</div>}
+                </td>
+                <td>{apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : "Never"}</td>
+                <td>
+                  {!apiKey.revokedAt && canEdit && (
+                    <button type="button" className="table-button danger" onClick={() => handleRevoke(apiKey)}>Revoke</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {apiKeys.length === 0 && (
+              <tr>
+                <td colSpan={5} className="document-empty">No API keys yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        const chunk = decoder.decode(value, { stream: true });
-        setLogContent(prev => prev + chunk);
-      }
+// --- Vector Store Version (built on disk vs. loaded by the chatbot) ---
+const IndexStatus = ({ refreshKey }) => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    let stopped = false;
+    const load = () => {
+      adminApi.get(`${API_BASE}/api/admin/index`)
+        .then((response) => { if (!stopped) setStatus(response.data); })
+        .catch((error) => console.error("Could not load index status:", error));
+    };
+    load();
+    // The action server reloads a few seconds after an index update; keep the view fresh
+    const timer = setInterval(load, 10000);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }, [refreshKey]);
+
+  if (!status) return null;
+  const { built, active } = status;
+  const inSync = built && active && built.version === active.version;
+
+  return (
+    <div className="index-status">
+      <div>
+        <strong>Index on disk:</strong>{" "}
+        {built
+          ? `${built.version || "unversioned"} (${built.documents} documents${built.collections?.length ? ` in ${built.collections.length} collections` : ""}, ${built.chunks} chunks)`
+          : "not built yet"}
+      </div>
+      <div>
+        <strong>Chatbot is using:</strong>{" "}
+        {active?.version || "no index loaded"}
+        {built && active && (
+          <span className={`job-status ${inSync ? 'job-status-succeeded' : 'job-status-running'}`}>
+            {inSync ? "up to date" : "reloading"}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Admin Login Screen ---
+const AdminLogin = ({ onLogin }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [loginMessage, setLoginMessage] = useState("");
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoggingIn(true);
+    setLoginMessage("");
+    try {
+      const response = await adminApi.post(`${API_BASE}/api/auth/login`, { username, password });
+      onLogin(response.data.token, response.data.user);
     } catch (error) {
-      setLogContent(prev => prev + `\n❌ CRITICAL ERROR: Could not connect. Is admin_server.py running?\nError: ${error.message}`);
+      const errorMessage = error.response?.data?.message || "Could not reach the server.";
+      setLoginMessage(`❌ ${errorMessage}`);
     } finally {
-      setIsRetraining(false);
-      setLogContent(prev => prev + "\n--- Process finished ---\n");
+      setIsLoggingIn(false);
     }
   };
 
   return (
     <div className="admin-container">
       <div className="admin-section">
-        <h3 className="admin-title">1. Upload Knowledge (PDFs)</h3>
-        <p className="admin-description">Add new documents to the chatbot's knowledge base.</p>
-        <form onSubmit={handleFileUpload} className="upload-form">
+        <h3 className="admin-title">Admin Login</h3>
+        <p className="admin-description">Sign in to manage documents and retrain the AI.</p>
+        <form onSubmit={handleSubmit} className="login-form">
           <input
-            type="file"
-            accept=".pdf"
-            onChange={handleFileChange}
-            disabled={isUploading || isRetraining}
-            className="file-input"
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+            autoComplete="username"
+            className="input-field"
+            disabled={isLoggingIn}
           />
-          <button type="submit" className={`upload-button ${isUploading || !file || isRetraining ? 'disabled' : ''}`} disabled={isUploading || !file || isRetraining}>
-            {isUploading ? 'Uploading...' : 'Upload PDF'}
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            className="input-field"
+            disabled={isLoggingIn}
+          />
+          <button type="submit" className={`upload-button ${isLoggingIn || !username || !password ? 'disabled' : ''}`} disabled={isLoggingIn || !username || !password}>
+            {isLoggingIn ? 'Signing in...' : 'Sign In'}
           </button>
         </form>
-        {uploadMessage && <p className="upload-message">{uploadMessage}</p>}
+        {loginMessage && <p className="upload-message">{loginMessage}</p>}
       </div>
+    </div>
+  );
+};
 
-      <div className="admin-section">
-        <h3 className="admin-title">2. Retrain AI</h3>
-        <p className="admin-description">**MANDATORY** after uploading files. This rebuilds the AI's memory.</p>
+// --- Bulk Upload (drag-and-drop, several files or .zip archives, per-file progress) ---
+const UPLOAD_ACCEPT = `${DOCUMENT_ACCEPT},.zip`;
+
+// Outcome of each file on the server (a .zip has one per file inside it)
+const UPLOAD_RESULT_LABELS = {
+  uploaded: "uploaded",
+  duplicate: "duplicate",
+  rejected: "rejected",
+  skipped: "skipped",
+};
+const UPLOAD_RESULT_CLASSES = {
+  uploaded: "job-status-succeeded",
+  rejected: "job-status-failed",
+};
+
+let nextUploadId = 0;
+
+const BulkUpload = ({ collections, disabled, onFinished }) => {
+  // One entry per chosen file: { id, file, progress, status, results, error }
+  const [queue, setQueue] = useState([]);
+  // Collection the next upload joins; existing ones are suggested
+  const [uploadCollection, setUploadCollection] = useState("");
+  const [retrainWhenDone, setRetrainWhenDone] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadMessage, setUploadMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  const updateItem = (id, changes) =>
+    setQueue(items => items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    setQueue(items => [
+      // Finished uploads make way for the new batch
+      ...items.filter(item => item.status === "waiting"),
+      ...files.map(file => ({ id: nextUploadId++, file, progress: 0, status: "waiting", results: [], error: "" })),
+    ]);
+    setUploadMessage("");
+  };
 
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled && !isUploading) setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled && !isUploading) addFiles(e.dataTransfer.files);
+  };
+
+  const waiting = queue.filter(item => item.status === "waiting");
+
+  // Sends the files one request at a time, so each has its own progress bar and result.
+  // The index update is queued once at the end instead of after every file.
+  const handleUpload = async () => {
+    if (waiting.length === 0) return;
+    setIsUploading(true);
+    setUploadMessage("");
+    const collection = uploadCollection.trim() || DEFAULT_COLLECTION;
+    let uploaded = 0;
+    let notUploaded = 0;
+
+    for (const item of waiting) {
+      updateItem(item.id, { status: "uploading" });
+      const formData = new FormData();
+      // Fields must come before the files for the server to see them when it stores the upload
+      formData.append("collection", collection);
+      formData.append("files", item.file);
+      try {
+        const response = await adminApi.post(`${API_BASE}/api/admin/upload/bulk?index=false`, formData, {
+          onUploadProgress: (event) => {
+            if (event.total) updateItem(item.id, { progress: Math.round((event.loaded / event.total) * 100) });
+          },
+        });
+        const results = response.data.results || [];
+        const accepted = results.filter(result => result.status === "uploaded").length;
+        uploaded += accepted;
+        notUploaded += results.length - accepted;
+        updateItem(item.id, { status: "done", progress: 100, results });
+      } catch (error) {
+        notUploaded += 1;
+        updateItem(item.id, { status: "failed", error: error.response?.data?.message || "Failed to upload file." });
+      }
+    }
+
+    setIsUploading(false);
+    setUploadMessage(notUploaded === 0
+      ? `✅ ${uploaded} file(s) uploaded to '${collection}'. They join the library once their text has been extracted.`
+      : `${uploaded} file(s) uploaded, ${notUploaded} not uploaded. See the list below for the reasons.`);
+    onFinished({ uploaded, retrain: retrainWhenDone });
+  };
+
+  const isLocked = disabled || isUploading;
+
+  return (
+    <>
+      <div
+        className={`drop-zone ${isDragging ? "dragging" : ""} ${isLocked ? "disabled" : ""}`}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => !isLocked && fileInputRef.current?.click()}
+      >
+        <p>Drag and drop documents or .zip archives here, or <span className="drop-zone-link">browse</span></p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={UPLOAD_ACCEPT}
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = "";
+          }}
+          disabled={isLocked}
+          hidden
+        />
+      </div>
+
+      <div className="upload-form">
+        <input
+          type="text"
+          list="collection-options"
+          value={uploadCollection}
+          onChange={(e) => setUploadCollection(e.target.value)}
+          placeholder={`Collection (default: ${DEFAULT_COLLECTION})`}
+          maxLength={60}
+          disabled={isLocked}
+          className="collection-input"
+        />
+        <datalist id="collection-options">
+          {collections.map((item) => <option key={item.id} value={item.name} />)}
+        </datalist>
+        <label className="retrain-option">
+          <input
+            type="checkbox"
+            checked={retrainWhenDone}
+            onChange={(e) => setRetrainWhenDone(e.target.checked)}
+            disabled={isLocked}
+          />
+          Retrain when done
+        </label>
         <button
-          onClick={handleRetrain}
-          className={`retrain-button ${isRetraining ? 'disabled' : ''}`}
-          disabled={isRetraining}
+          type="button"
+          onClick={handleUpload}
+          className={`upload-button ${isLocked || waiting.length === 0 ? 'disabled' : ''}`}
+          disabled={isLocked || waiting.length === 0}
         >
-          {isRetraining ? <RetrainIconSpin /> : <RetrainIcon />}
-          {isRetraining ? 'Retraining in Progress...' : 'Trigger Full Retraining'}
+          {isUploading
+            ? 'Uploading...'
+            : waiting.length > 0 ? `Upload ${waiting.length} File${waiting.length === 1 ? "" : "s"}` : 'Upload Files'}
         </button>
+      </div>
 
-        <h4 className="log-title">Retraining Logs:</h4>
-        <div ref={logRef} className="log-viewer">
-          <pre className="log-pre">{logContent}</pre>
-        </div>
+      {queue.length > 0 && (
+        <ul className="upload-queue">
+          {queue.map((item) => (
+            <li key={item.id} className="upload-item">
+              <div className="upload-item-header">
+                <span className="upload-item-name">{item.file.name}</span>
+                <span className="upload-item-size">{formatBytes(item.file.size)}</span>
+                {item.status === "waiting" && !isUploading && (
+                  <button
+                    type="button"
+                    className="table-button"
+                    onClick={() => setQueue(items => items.filter(other => other.id !== item.id))}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              {(item.status === "uploading" || item.status === "done") && (
+                <div className="upload-progress">
+                  <div className="upload-progress-bar" style={{ width: `${item.progress}%` }} />
+                </div>
+              )}
+              {item.error && <p className="document-error">{item.error}</p>}
+              {item.results.length > 0 && (
+                <ul className="upload-results">
+                  {item.results.map((result, index) => (
+                    <li key={index}>
+                      <span className={`job-status ${UPLOAD_RESULT_CLASSES[result.status] || ""}`}>
+                        {UPLOAD_RESULT_LABELS[result.status] || result.status}
+                      </span>
+                      {/* Files from an archive are named by their path inside it */}
+                      {result.archive && <span className="upload-result-name">{result.filename}</span>}
+                      <span className="upload-result-message">{result.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {uploadMessage && <p className="upload-message">{uploadMessage}</p>}
+    </>
+  );
+};
+
+// --- Document Library (list, rename, replace, delete) ---
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Uploads wait in a staging area until the index job has extracted their text
+const DOCUMENT_STATUS_LABELS = {
+  pending: "waiting for indexing",
+  failed: "not indexed",
+};
+const DOCUMENT_STATUS_CLASSES = {
+  pending: "job-status-queued",
+  failed: "job-status-failed",
+};
+
+const DocumentLibrary = ({ refreshKey, disabled, onJobQueued }) => {
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [libraryMessage, setLibraryMessage] = useState("");
+  const [busyName, setBusyName] = useState(null);
+  const replaceInputRef = useRef(null);
+  const replaceTargetRef = useRef(null);
+
+  const loadDocuments = async () => {
+    setIsLoading(true);
+    try {
+      const response = await adminApi.get(`${API_BASE}/api/admin/documents`);
+      setDocuments(response.data.documents || []);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || "Failed to load documents.";
+      setLibraryMessage(`❌ Error: ${errorMessage}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDocuments();
+  }, [refreshKey]);
+
+  const runAction = async (storedName, action) => {
+    setBusyName(storedName);
+    try {
+      const response = await action();
+      setLibraryMessage(`✅ ${response.data.message}`);
+      onJobQueued(response.data.indexJob);
+      await loadDocuments();
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || "Request failed.";
+      setLibraryMessage(`❌ Error: ${errorMessage}`);
+    } finally {
+      setBusyName(null);
+    }
+  };
+
+  const handleDelete = (doc) => {
+    if (!window.confirm(`Delete '${doc.originalName}' from the knowledge base?`)) return;
+    runAction(doc.storedName, () =>
+      adminApi.delete(`${API_BASE}/api/admin/documents/${encodeURIComponent(doc.storedName)}`)
+    );
+  };
+
+  const handleRename = (doc) => {
+    const originalName = window.prompt("New display name:", doc.originalName);
+    if (!originalName || originalName === doc.originalName) return;
+    runAction(doc.storedName, () =>
+      adminApi.patch(`${API_BASE}/api/admin/documents/${encodeURIComponent(doc.storedName)}`, { originalName })
+    );
+  };
+
+  const handleMove = (doc) => {
+    const collection = window.prompt("Move to collection:", doc.collection);
+    if (collection === null || collection.trim() === doc.collection) return;
+    runAction(doc.storedName, () =>
+      adminApi.patch(`${API_BASE}/api/admin/documents/${encodeURIComponent(doc.storedName)}`, { collection })
+    );
+  };
+
+  const handleDedupe = async () => {
+    setBusyName("*");
+    try {
+      const preview = await adminApi.post(`${API_BASE}/api/admin/documents/dedupe?dryRun=true`);
+      if (preview.data.removedCount === 0) {
+        setLibraryMessage("✅ No duplicate documents found.");
+        return;
+      }
+      const summary = preview.data.groups
+        .map(group => `Keep ${group.kept}, remove ${group.removed.join(", ")}`)
+        .join("\n");
+      if (!window.confirm(`${preview.data.message}\n\n${summary}\n\nRemove them now?`)) return;
+
+      const response = await adminApi.post(`${API_BASE}/api/admin/documents/dedupe`);
+      setLibraryMessage(`✅ ${response.data.message}`);
+      onJobQueued(response.data.indexJob);
+      await loadDocuments();
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || "Request failed.";
+      setLibraryMessage(`❌ Error: ${errorMessage}`);
+    } finally {
+      setBusyName(null);
+    }
+  };
+
+  const handleReplaceClick = (doc) => {
+    replaceTargetRef.current = doc;
+    replaceInputRef.current?.click();
+  };
+
+  const handleReplaceFile = (e) => {
+    const newFile = e.target.files[0];
+    const doc = replaceTargetRef.current;
+    e.target.value = ""; // Allow picking the same file again later
+    if (!newFile || !doc) return;
+
+    const formData = new FormData();
+    formData.append("pdf", newFile);
+    runAction(doc.storedName, () =>
+      adminApi.put(`${API_BASE}/api/admin/documents/${encodeURIComponent(doc.storedName)}`, formData)
+    );
+  };
+
+  return (
+    <div className="admin-section">
+      <h3 className="admin-title">2. Document Library</h3>
+      <p className="admin-description">Everything the chatbot currently knows about. Changes here update the document index automatically.</p>
+
+      <div className="library-toolbar">
+        <button type="button" className="table-button" onClick={handleDedupe} disabled={disabled || busyName !== null}>
+          Remove Duplicates
+        </button>
       </div>
+
+      <input
+        type="file"
+        accept={DOCUMENT_ACCEPT}
+        ref={replaceInputRef}
+        onChange={handleReplaceFile}
+        style={{ display: 'none' }}
+      />
+
+      <div className="document-table-wrapper">
+        <table className="document-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Collection</th>
+              <th>Size</th>
+              <th>Pages</th>
+              <th>Uploaded</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {documents.map((doc) => (
+              <tr key={doc.storedName}>
+                <td>
+                  <div className="document-name">
+                    {doc.originalName}
+                    {doc.status !== "ready" && (
+                      <span className={`job-status ${DOCUMENT_STATUS_CLASSES[doc.status] || ""}`}>
+                        {DOCUMENT_STATUS_LABELS[doc.status] || doc.status}
+                      </span>
+                    )}
+                  </div>
+                  <div className="document-stored-name">{doc.storedName}</div>
+                  {doc.error && (
+                    <div className="document-error">
+                      {doc.error}
+                      {doc.live && " The previous version is still in use."}
+                    </div>
+                  )}
+                </td>
+                <td>{doc.collection}</td>
+                <td>{formatBytes(doc.size)}</td>
+                <td>{doc.pages ?? (doc.storedName.toLowerCase().endsWith(".pdf") ? "?" : "—")}</td>
+                <td>{new Date(doc.uploadedAt).toLocaleString()}</td>
+                <td className="document-actions">
+                  <button type="button" className="table-button" onClick={() => handleRename(doc)} disabled={disabled || busyName !== null}>Rename</button>
+                  <button type="button" className="table-button" onClick={() => handleMove(doc)} disabled={disabled || busyName !== null}>Move</button>
+                  <button type="button" className="table-button" onClick={() => handleReplaceClick(doc)} disabled={disabled || busyName !== null}>Replace</button>
+                  <button type="button" className="table-button danger" onClick={() => handleDelete(doc)} disabled={disabled || busyName !== null}>Delete</button>
+                </td>
+              </tr>
+            ))}
+            {!isLoading && documents.length === 0 && (
+              <tr>
+                <td colSpan={6} className="document-empty">No documents uploaded yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {isLoading && <p className="upload-message">Loading documents...</p>}
+      {libraryMessage && <p className="upload-message">{libraryMessage}</p>}
     </div>
   );
 };
@@ -574,6 +2251,14 @@ const SpeakerOffIcon = () => (
   </svg>
 );
 
+const NewChatIcon = () => (
+  <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v10z"></path>
+    <line x1="12" y1="7" x2="12" y2="13"></line>
+    <line x1="9" y1="10" x2="15" y2="10"></line>
+  </svg>
+);
+
 const ChatIcon = ({ isActive }) => (
   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" style={{ marginRight: '8px' }}>
     <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v10z" stroke={isActive ? "#2563eb" : "#475569"} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
@@ -598,12 +2283,13 @@ const RetrainIconSpin = () => (
   </svg>
 );
 
-const TypingIndicator = () => (
+const TypingIndicator = ({ label }) => (
   <div className="message-row message-row-bot typing-indicator-row">
     <div className="message-bubble message-bubble-bot typing-indicator">
       <span className="typing-dot"></span>
       <span className="typing-dot"></span>
       <span className="typing-dot"></span>
+      {label && <span className="typing-label">{label}</span>}
     </div>
   </div>
 );